@@ -0,0 +1,192 @@
+/**
+ * Local stand-in for the hospital data API and the bookings service, so the
+ * app can run and be tested offline. Start it with `npm run mock-server`, then
+ * point REACT_APP_API_BASE_URL and REACT_APP_BOOKINGS_API_URL at it.
+ */
+const http = require("http");
+const crypto = require("crypto");
+const { format, parse } = require("date-fns");
+const fixtures = require("./fixtures.json");
+
+const PORT = process.env.MOCK_SERVER_PORT || 4000;
+
+const hospitalId = (details) =>
+  String(
+    details["Provider ID"] ||
+      [details["Hospital Name"], details["City"], details["ZIP Code"]].join("|")
+  );
+
+// A doctor's slots are booked apart from the hospital's own
+const doctorId = (details) => (details.doctor && details.doctor.id) || "";
+
+// Patients per slot, mirroring src/utils/schedule.js; a doctor sees one
+const HOSPITAL_CAPACITY = { 10033: 2 };
+const slotCapacity = (slot) =>
+  doctorId(slot) ? 1 : HOSPITAL_CAPACITY[hospitalId(slot)] || 1;
+
+// Bookings made before slots had a start timestamp only have day and time
+const slotStart = ({ bookingStart, bookingDate, bookingTime }) =>
+  (bookingStart
+    ? new Date(bookingStart)
+    : parse(bookingTime, "hh:mm a", new Date(bookingDate))
+  ).getTime();
+
+const isFull = (bookings, slot) =>
+  bookings.filter(
+    (booking) =>
+      booking.status !== "cancelled" &&
+      hospitalId(booking) === hospitalId(slot) &&
+      doctorId(booking) === doctorId(slot) &&
+      slotStart(booking) === slotStart(slot)
+  ).length >= slotCapacity(slot);
+
+const slotTaken = ({ bookingDate, bookingTime, doctor }) =>
+  `${bookingTime} on ${format(new Date(bookingDate), "E, d LLL")} is already booked ${
+    doctor ? `with ${doctor.name}` : "at this hospital"
+  }. Please pick another slot.`;
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (chunk) => (data += chunk));
+    req.on("end", () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (err) {
+        reject(err);
+      }
+    });
+  });
+
+function createMockServer({ bookings = [] } = {}) {
+  const routes = [
+    ["GET", /^\/states$/, () => [200, fixtures.states]],
+    [
+      "GET",
+      /^\/cities\/([^/]+)$/,
+      (req, [state]) => [200, fixtures.cities[state] || []],
+    ],
+    [
+      "GET",
+      /^\/data$/,
+      (req, params, query) => {
+        const cities = fixtures.cities[query.get("state")] || [];
+        return [
+          200,
+          cities.includes(query.get("city"))
+            ? fixtures.hospitals.filter((h) => h.City === query.get("city"))
+            : [],
+        ];
+      },
+    ],
+    ["GET", /^\/bookings$/, () => [200, bookings]],
+    [
+      "POST",
+      /^\/bookings$/,
+      (req, params, query, body) => {
+        if (!body["Hospital Name"] || !body.bookingDate || !body.bookingTime) {
+          return [400, { message: "Hospital, date and time are required." }];
+        }
+        if (isFull(bookings, body)) {
+          return [409, { message: slotTaken(body) }];
+        }
+        const booking = {
+          ...body,
+          bookingId: `MED-${crypto
+            .randomBytes(4)
+            .toString("hex")
+            .toUpperCase()}`,
+          status: "confirmed",
+          bookingDate: new Date(body.bookingDate).toISOString(),
+          createdAt: new Date().toISOString(),
+        };
+        bookings.push(booking);
+        return [201, booking];
+      },
+    ],
+    [
+      "POST",
+      /^\/bookings\/([^/]+)\/cancel$/,
+      (req, [id]) => {
+        const booking = bookings.find((b) => b.bookingId === id);
+        if (!booking)
+          return [404, { message: "This booking no longer exists." }];
+        Object.assign(booking, {
+          status: "cancelled",
+          cancelledAt: new Date().toISOString(),
+        });
+        return [200, booking];
+      },
+    ],
+    [
+      "POST",
+      /^\/bookings\/([^/]+)\/no-show$/,
+      (req, [id]) => {
+        const booking = bookings.find((b) => b.bookingId === id);
+        if (!booking)
+          return [404, { message: "This booking no longer exists." }];
+        booking.status = "no-show";
+        return [200, booking];
+      },
+    ],
+    [
+      "POST",
+      /^\/bookings\/([^/]+)\/reschedule$/,
+      (req, [id], query, body) => {
+        const booking = bookings.find((b) => b.bookingId === id);
+        if (!booking)
+          return [404, { message: "This booking no longer exists." }];
+        const { bookingDate, bookingTime, bookingStart, bookingEnd } = body;
+        const slot = {
+          bookingDate: new Date(bookingDate).toISOString(),
+          bookingTime,
+          bookingStart,
+          bookingEnd,
+        };
+        const others = bookings.filter((b) => b !== booking);
+        if (isFull(others, { ...booking, ...slot })) {
+          return [409, { message: slotTaken({ ...booking, ...slot }) }];
+        }
+        Object.assign(booking, slot);
+        return [200, booking];
+      },
+    ],
+  ];
+
+  return http.createServer(async (req, res) => {
+    if (req.method === "OPTIONS") return send(res, 204);
+
+    const url = new URL(req.url, "http://localhost");
+    for (const [method, pattern, handler] of routes) {
+      const match = url.pathname.match(pattern);
+      if (req.method === method && match) {
+        try {
+          const body = method === "POST" ? await readBody(req) : undefined;
+          const params = match.slice(1).map(decodeURIComponent);
+          return send(res, ...handler(req, params, url.searchParams, body));
+        } catch (err) {
+          return send(res, 400, { message: "Invalid request body." });
+        }
+      }
+    }
+    send(res, 404, { message: "Not found" });
+  });
+}
+
+if (require.main === module) {
+  createMockServer().listen(PORT, () => {
+    console.log(`Mock server listening on http://localhost:${PORT}`);
+  });
+}
+
+module.exports = { createMockServer };
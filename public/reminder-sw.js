@@ -0,0 +1,26 @@
+/* Shows booking reminders and opens the hospital when one is clicked */
+
+self.addEventListener("install", () => self.skipWaiting());
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener("notificationclick", (event) => {
+  const { url, directionsUrl } = event.notification.data || {};
+  const target = new URL(
+    event.action === "directions" ? directionsUrl : url || "/",
+    self.location.origin
+  ).href;
+  event.notification.close();
+
+  event.waitUntil(
+    self.clients
+      .matchAll({ type: "window", includeUncontrolled: true })
+      .then((windows) => {
+        const existing = windows.find((client) => client.url === target);
+        if (existing) return existing.focus();
+        return self.clients.openWindow(target);
+      })
+  );
+});
@@ -2,11 +2,13 @@ import { Outlet } from "react-router-dom";
 import { CssBaseline } from "@mui/material";
 import Footer from "./components/Footer/Footer";
 import DownloadApp from "./components/Sections/DownloadApp/DownloadApp";
+import ReminderScheduler from "./components/ReminderScheduler/ReminderScheduler";
 
 function App() {
   return (
     <div>
       <CssBaseline />
+      <ReminderScheduler />
       <Outlet />
       <DownloadApp />
       <Footer />
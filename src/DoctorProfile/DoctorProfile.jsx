@@ -0,0 +1,170 @@
+import { Box, Container, Divider, Stack, Typography } from "@mui/material";
+import { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import NavBar from "../components/NavBar/NavBar";
+import Calendar from "../components/Calendar/Calendar";
+import BookingModal from "../components/BookingModal/BookingModal";
+import AutohideSnackbar from "../components/AutohideSnackbar/AutohideSnackbar";
+import HospitalCardSkeleton from "../components/HospitalCard/HospitalCardSkeleton";
+import FetchError from "../components/FetchError/FetchError";
+import { fetchHospital } from "../api/meddata";
+import { isCancelled } from "../api/client";
+import { getAddress, hospitalPath } from "../utils/hospitals";
+import {
+  getDoctor,
+  getSpecializationTitle,
+  toBookingDoctor,
+} from "../utils/doctors";
+
+export default function DoctorProfile() {
+  const { id } = useParams();
+  const doctor = getDoctor(id);
+  const [hospital, setHospital] = useState(null);
+  const [isLoading, setIsLoading] = useState(Boolean(doctor));
+  const [error, setError] = useState(null);
+  const [retryCount, setRetryCount] = useState(0);
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [bookingDetails, setBookingDetails] = useState({});
+  const [showBookingSuccess, setShowBookingSuccess] = useState(false);
+
+  useEffect(() => {
+    if (!doctor) return;
+    const controller = new AbortController();
+    const getHospital = async () => {
+      setError(null);
+      setIsLoading(true);
+      try {
+        const { id, state, city } = doctor.hospital;
+        setHospital(
+          await fetchHospital(id, state, city, { signal: controller.signal })
+        );
+        setIsLoading(false);
+      } catch (err) {
+        if (isCancelled(err)) return;
+        setError(err);
+        setIsLoading(false);
+      }
+    };
+
+    getHospital();
+    return () => controller.abort();
+  }, [doctor, retryCount]);
+
+  const handleBookingModal = (details) => {
+    setBookingDetails(details);
+    setIsModalOpen(true);
+  };
+
+  return (
+    <>
+      <NavBar />
+      <Box
+        sx={{ background: "linear-gradient(#EFF5FE, rgba(241,247,255,0.47))" }}
+      >
+        <Container maxWidth="xl" sx={{ pt: 4, pb: 10, px: { xs: 0, md: 4 } }}>
+          {!doctor && (
+            <Typography variant="h3" bgcolor="#fff" p={3} borderRadius={2}>
+              Doctor not found
+            </Typography>
+          )}
+
+          {doctor && (
+            <Box sx={{ borderRadius: 2, bgcolor: "#fff", p: { xs: 2, md: 4 } }}>
+              <Stack
+                direction={{ xs: "column", md: "row" }}
+                spacing={{ xs: 2, md: 4 }}
+                mb={3}
+              >
+                <Box
+                  component="img"
+                  src={doctor.img}
+                  alt={doctor.name}
+                  width={{ xs: 120, md: 200 }}
+                  height="auto"
+                  sx={{
+                    flexShrink: 0,
+                    alignSelf: "start",
+                    borderRadius: "250px 240px 4px 4px",
+                    bgcolor: "#E7F0FF",
+                  }}
+                />
+                <Box flex={1}>
+                  <Typography
+                    component="h1"
+                    color="primary.main"
+                    fontWeight={600}
+                    fontSize={{ xs: 22, md: 28 }}
+                  >
+                    {doctor.name}
+                  </Typography>
+                  <Typography fontWeight={600} color="#1B3C74">
+                    {getSpecializationTitle(doctor)}
+                  </Typography>
+                  <Typography fontSize={14} color="#787887" mb={2}>
+                    {`${doctor.qualification} · ${doctor.experience} years experience`}
+                  </Typography>
+                  <Typography color="#414146" mb={2}>
+                    {doctor.about}
+                  </Typography>
+                  <Divider sx={{ borderStyle: "dashed", mb: 2 }} />
+                  <Typography fontSize={14} color="#787887">
+                    Consults at
+                  </Typography>
+                  <Typography fontWeight={500}>
+                    {hospital ? (
+                      <Link to={hospitalPath(hospital)}>
+                        {doctor.hospital.name}
+                      </Link>
+                    ) : (
+                      doctor.hospital.name
+                    )}
+                  </Typography>
+                  {hospital && (
+                    <Typography fontSize={14} color="#414146">
+                      {getAddress(hospital)}
+                    </Typography>
+                  )}
+                </Box>
+              </Stack>
+
+              {isLoading && <HospitalCardSkeleton />}
+
+              {error && !isLoading && (
+                <FetchError
+                  message="We couldn't load this doctor's appointment slots. Please try again."
+                  onRetry={() => setRetryCount((prev) => prev + 1)}
+                />
+              )}
+
+              {!isLoading && !error && !hospital && (
+                <Typography color="#787887">
+                  Online booking with this doctor is not available right now.
+                </Typography>
+              )}
+
+              {hospital && !isLoading && (
+                <Calendar
+                  details={{ ...hospital, doctor: toBookingDoctor(doctor) }}
+                  handleBooking={handleBookingModal}
+                />
+              )}
+            </Box>
+          )}
+        </Container>
+
+        <BookingModal
+          open={isModalOpen}
+          setOpen={setIsModalOpen}
+          bookingDetails={bookingDetails}
+          showSuccessMessage={setShowBookingSuccess}
+        />
+
+        <AutohideSnackbar
+          open={showBookingSuccess}
+          setOpen={setShowBookingSuccess}
+          message="Booking Successful"
+        />
+      </Box>
+    </>
+  );
+}
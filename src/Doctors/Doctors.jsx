@@ -0,0 +1,128 @@
+import {
+  Box,
+  Button,
+  Container,
+  Grid,
+  MenuItem,
+  Stack,
+  TextField,
+  Typography,
+} from "@mui/material";
+import { useMemo } from "react";
+import { useSearchParams } from "react-router-dom";
+import NavBar from "../components/NavBar/NavBar";
+import DoctorCard from "../components/DoctorCard/DoctorCard";
+import {
+  DOCTORS,
+  DOCTOR_CITIES,
+  DOCTOR_SPECIALIZATIONS,
+  filterDoctors,
+  parseDoctorFilters,
+  writeDoctorFilters,
+} from "../utils/doctors";
+
+export default function Doctors() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = useMemo(
+    () => parseDoctorFilters(searchParams),
+    [searchParams]
+  );
+  const doctors = filterDoctors(DOCTORS, filters);
+
+  const handleFilterChange = (changes) => {
+    setSearchParams((params) =>
+      writeDoctorFilters(params, { ...filters, ...changes })
+    );
+  };
+
+  return (
+    <>
+      <NavBar />
+      <Box
+        sx={{ background: "linear-gradient(#EFF5FE, rgba(241,247,255,0.47))" }}
+      >
+        <Container maxWidth="xl" sx={{ pt: 4, pb: 10, px: { xs: 2, md: 4 } }}>
+          <Typography
+            component="h1"
+            fontSize={24}
+            lineHeight={1.1}
+            mb={3}
+            fontWeight={500}
+          >
+            {`${doctors.length} doctors available`}
+          </Typography>
+
+          <Stack
+            direction={{ xs: "column", sm: "row" }}
+            spacing={2}
+            mb={3}
+            bgcolor="#fff"
+            p={2}
+            borderRadius={2}
+          >
+            <TextField
+              select
+              label="Specialization"
+              value={filters.specialization}
+              onChange={(e) =>
+                handleFilterChange({ specialization: e.target.value })
+              }
+              sx={{ minWidth: 220 }}
+            >
+              <MenuItem value="">All specializations</MenuItem>
+              {DOCTOR_SPECIALIZATIONS.map((specialization) => (
+                <MenuItem key={specialization.slug} value={specialization.slug}>
+                  {specialization.title}
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              select
+              label="City"
+              value={filters.city}
+              onChange={(e) => handleFilterChange({ city: e.target.value })}
+              sx={{
+                minWidth: 220,
+                "& .MuiSelect-select": { textTransform: "capitalize" },
+              }}
+            >
+              <MenuItem value="">All cities</MenuItem>
+              {DOCTOR_CITIES.map((city) => (
+                <MenuItem
+                  key={city}
+                  value={city}
+                  sx={{ textTransform: "capitalize" }}
+                >
+                  {city.toLowerCase()}
+                </MenuItem>
+              ))}
+            </TextField>
+            {(filters.specialization || filters.city) && (
+              <Button
+                onClick={() =>
+                  handleFilterChange({ specialization: "", city: "" })
+                }
+              >
+                Clear filters
+              </Button>
+            )}
+          </Stack>
+
+          {doctors.length > 0 ? (
+            <Grid container spacing={3}>
+              {doctors.map((doctor) => (
+                <Grid item xs={12} md={6} key={doctor.id}>
+                  <DoctorCard doctor={doctor} />
+                </Grid>
+              ))}
+            </Grid>
+          ) : (
+            <Typography variant="h3" bgcolor="#fff" p={3} borderRadius={2}>
+              No doctors match the selected filters
+            </Typography>
+          )}
+        </Container>
+      </Box>
+    </>
+  );
+}
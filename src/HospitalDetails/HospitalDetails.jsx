@@ -0,0 +1,244 @@
+import {
+  Box,
+  Button,
+  Container,
+  Divider,
+  Grid,
+  Stack,
+  Typography,
+} from "@mui/material";
+import { useEffect, useState } from "react";
+import { useParams, useSearchParams } from "react-router-dom";
+import ShareIcon from "@mui/icons-material/Share";
+import icon from "../assets/hospitalicon.png";
+import NavBar from "../components/NavBar/NavBar";
+import Calendar from "../components/Calendar/Calendar";
+import BookingModal from "../components/BookingModal/BookingModal";
+import AutohideSnackbar from "../components/AutohideSnackbar/AutohideSnackbar";
+import HospitalCardSkeleton from "../components/HospitalCard/HospitalCardSkeleton";
+import FetchError from "../components/FetchError/FetchError";
+import { fetchHospital } from "../api/meddata";
+import { isCancelled } from "../api/client";
+import { getAddress, getRating, hasEmergency } from "../utils/hospitals";
+
+const RATING_BREAKDOWN = [
+  "Mortality national comparison",
+  "Safety of care national comparison",
+  "Readmission national comparison",
+  "Patient experience national comparison",
+  "Effectiveness of care national comparison",
+  "Timeliness of care national comparison",
+  "Efficient use of medical imaging national comparison",
+];
+
+function DetailItem({ label, value }) {
+  return (
+    <Grid item xs={12} sm={6}>
+      <Typography fontSize={14} color="#787887">
+        {label}
+      </Typography>
+      <Typography fontWeight={500}>{value || "Not Available"}</Typography>
+    </Grid>
+  );
+}
+
+export default function HospitalDetails() {
+  const { id } = useParams();
+  const [searchParams] = useSearchParams();
+  const state = searchParams.get("state");
+  const city = searchParams.get("city");
+  const [hospital, setHospital] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [retryCount, setRetryCount] = useState(0);
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [bookingDetails, setBookingDetails] = useState({});
+  const [showBookingSuccess, setShowBookingSuccess] = useState(false);
+  const [shareMessage, setShareMessage] = useState("");
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const getHospital = async () => {
+      setError(null);
+      setIsLoading(true);
+      try {
+        setHospital(
+          await fetchHospital(id, state, city, { signal: controller.signal })
+        );
+        setIsLoading(false);
+      } catch (err) {
+        if (isCancelled(err)) return;
+        setError(err);
+        setIsLoading(false);
+      }
+    };
+
+    getHospital();
+    return () => controller.abort();
+  }, [id, state, city, retryCount]);
+
+  const handleBookingModal = (details) => {
+    setBookingDetails(details);
+    setIsModalOpen(true);
+  };
+
+  const handleShare = async () => {
+    const url = window.location.href;
+    if (navigator.share) {
+      try {
+        await navigator.share({ title: hospital["Hospital Name"], url });
+      } catch (err) {
+        // Closing the share sheet rejects, nothing to do
+      }
+      return;
+    }
+    // The clipboard is missing on insecure origins and rejects when denied
+    const copied =
+      Boolean(navigator.clipboard?.writeText) &&
+      (await navigator.clipboard.writeText(url).then(
+        () => true,
+        () => false
+      ));
+    setShareMessage(
+      copied ? "Link copied to clipboard" : `Copy this link to share it: ${url}`
+    );
+  };
+
+  return (
+    <>
+      <NavBar />
+      <Box
+        sx={{ background: "linear-gradient(#EFF5FE, rgba(241,247,255,0.47))" }}
+      >
+        <Container maxWidth="xl" sx={{ pt: 4, pb: 10, px: { xs: 0, md: 4 } }}>
+          {isLoading && <HospitalCardSkeleton />}
+
+          {error && !isLoading && (
+            <FetchError
+              message="We couldn't load this hospital. Please try again."
+              onRetry={() => setRetryCount((prev) => prev + 1)}
+            />
+          )}
+
+          {!isLoading && !error && !hospital && (
+            <Typography variant="h3" bgcolor="#fff" p={3} borderRadius={2}>
+              Hospital not found
+            </Typography>
+          )}
+
+          {hospital && !isLoading && (
+            <Box sx={{ borderRadius: 2, bgcolor: "#fff", p: { xs: 2, md: 4 } }}>
+              <Stack
+                direction={{ xs: "column", md: "row" }}
+                spacing={{ xs: 2, md: 4 }}
+              >
+                <Box
+                  component="img"
+                  src={icon}
+                  width={{ xs: 64, md: 130 }}
+                  height="auto"
+                  sx={{ flexShrink: 0, alignSelf: "start" }}
+                />
+                <Box flex={1}>
+                  <Stack
+                    direction="row"
+                    justifyContent="space-between"
+                    alignItems="flex-start"
+                    spacing={2}
+                    mb={1}
+                  >
+                    <Typography
+                      component="h1"
+                      color="primary.main"
+                      fontWeight={600}
+                      fontSize={{ xs: 22, md: 28 }}
+                      textTransform="capitalize"
+                    >
+                      {hospital["Hospital Name"].toLowerCase()}
+                    </Typography>
+                    <Button
+                      variant="outlined"
+                      startIcon={<ShareIcon />}
+                      onClick={handleShare}
+                      sx={{ flexShrink: 0 }}
+                    >
+                      Share
+                    </Button>
+                  </Stack>
+                  <Typography color="#414146" mb={3}>
+                    {getAddress(hospital)}
+                  </Typography>
+
+                  <Grid container spacing={2} mb={3}>
+                    <DetailItem
+                      label="Phone"
+                      value={hospital["Phone Number"]}
+                    />
+                    <DetailItem label="ZIP Code" value={hospital["ZIP Code"]} />
+                    <DetailItem
+                      label="Hospital Type"
+                      value={hospital["Hospital Type"]}
+                    />
+                    <DetailItem
+                      label="Ownership"
+                      value={hospital["Hospital Ownership"]}
+                    />
+                    <DetailItem
+                      label="Emergency Services"
+                      value={
+                        hasEmergency(hospital) ? "Available" : "Not Available"
+                      }
+                    />
+                    <DetailItem
+                      label="Hospital overall rating"
+                      value={
+                        getRating(hospital) ? `${getRating(hospital)} / 5` : ""
+                      }
+                    />
+                  </Grid>
+
+                  <Divider sx={{ borderStyle: "dashed", mb: 2 }} />
+                  <Typography fontWeight={600} mb={2}>
+                    Rating breakdown
+                  </Typography>
+                  <Grid container spacing={2}>
+                    {RATING_BREAKDOWN.filter((field) => field in hospital).map(
+                      (field) => (
+                        <DetailItem
+                          key={field}
+                          label={field.replace(" national comparison", "")}
+                          value={hospital[field]}
+                        />
+                      )
+                    )}
+                  </Grid>
+                </Box>
+              </Stack>
+
+              <Calendar details={hospital} handleBooking={handleBookingModal} />
+            </Box>
+          )}
+        </Container>
+
+        <BookingModal
+          open={isModalOpen}
+          setOpen={setIsModalOpen}
+          bookingDetails={bookingDetails}
+          showSuccessMessage={setShowBookingSuccess}
+        />
+
+        <AutohideSnackbar
+          open={showBookingSuccess}
+          setOpen={setShowBookingSuccess}
+          message="Booking Successful"
+        />
+
+        <AutohideSnackbar
+          open={Boolean(shareMessage)}
+          setOpen={() => setShareMessage("")}
+          message={shareMessage}
+        />
+      </Box>
+    </>
+  );
+}
@@ -1,22 +1,206 @@
-import { Box, Typography, Container, Stack } from "@mui/material";
+import {
+  Box,
+  Typography,
+  Container,
+  Stack,
+  Tabs,
+  Tab,
+  Button,
+} from "@mui/material";
 import HospitalCard from "../components/HospitalCard/HospitalCard";
 import NavBar from "../components/NavBar/NavBar";
 import SearchBar from "../components/SearchBar/SearchBar";
-import { useEffect, useState } from "react";
+import { useEffect, useMemo, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import EventIcon from "@mui/icons-material/Event";
+import { format } from "date-fns";
 import cta from "../assets/cta.png";
+import ConfirmDialog from "../components/ConfirmDialog/ConfirmDialog";
+import HospitalCardSkeleton from "../components/HospitalCard/HospitalCardSkeleton";
+import FetchError from "../components/FetchError/FetchError";
+import AutohideSnackbar from "../components/AutohideSnackbar/AutohideSnackbar";
+import NextAppointment from "../components/NextAppointment/NextAppointment";
+import AppointmentSlip from "../components/AppointmentSlip/AppointmentSlip";
+import ReminderSettings from "../components/ReminderSettings/ReminderSettings";
+import { downloadIcs } from "../utils/calendar";
+import { getAppointmentStart } from "../utils/slots";
+import {
+  STATUS,
+  STATUS_LABELS,
+  byAppointmentTime,
+  cancelBooking,
+  getBookingStatus,
+  markNoShow,
+  rescheduleBooking,
+} from "../store/bookingRepository";
+import useBookings from "../store/useBookings";
+import {
+  EMPTY_BOOKING_FILTERS,
+  describeBookingFilters,
+  filterBookings,
+  parseBookingFilters,
+  writeBookingFilters,
+} from "../utils/bookingFilters";
+
+const TABS = [
+  { value: "upcoming", label: "Upcoming" },
+  { value: "past", label: "Past" },
+  { value: "cancelled", label: "Cancelled" },
+];
+
+const ACTIONS = {
+  cancel: {
+    title: "Cancel booking",
+    label: "Cancel Booking",
+    success: "Booking Cancelled",
+  },
+  reschedule: {
+    title: "Reschedule booking",
+    label: "Reschedule",
+    success: "Booking Rescheduled",
+  },
+  "no-show": {
+    title: "Mark as no-show",
+    label: "Mark as No-show",
+    success: "Booking marked as no-show",
+  },
+};
+
+// How often statuses are worked out again while the page stays open
+const TICK = 30000;
+
+const tabFor = (status) => {
+  if (status === STATUS.CONFIRMED) return "upcoming";
+  if (status === STATUS.CANCELLED) return "cancelled";
+  return "past";
+};
+
+// Upcoming soonest first, everything else most recent first
+const groupBookings = (bookings, now) => {
+  const groups = { upcoming: [], past: [], cancelled: [] };
+  bookings.forEach((booking) => {
+    const status = getBookingStatus(booking, now);
+    groups[tabFor(status)].push({ booking, status });
+  });
+  const ascending = (a, b) => byAppointmentTime(a.booking, b.booking);
+  groups.upcoming.sort(ascending);
+  groups.past.sort((a, b) => ascending(b, a));
+  groups.cancelled.sort((a, b) => ascending(b, a));
+  return groups;
+};
 
 export default function MyBookings() {
-  const [bookings, setBookings] = useState([]);
-  const [filteredBookings, setFilteredBookings] = useState([]);
+  const { bookings, isLoading, error, reload } = useBookings();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [tab, setTab] = useState("upcoming");
+  const [pendingAction, setPendingAction] = useState(null);
+  const [slipBooking, setSlipBooking] = useState(null);
+  const [actionError, setActionError] = useState("");
+  const [isActionPending, setIsActionPending] = useState(false);
+  const [successMessage, setSuccessMessage] = useState("");
+  const [now, setNow] = useState(() => new Date());
 
   useEffect(() => {
-    const localBookings = localStorage.getItem("bookings") || "[]";
-    setBookings(JSON.parse(localBookings));
+    const timer = setInterval(() => setNow(new Date()), TICK);
+    return () => clearInterval(timer);
   }, []);
 
-  useEffect(() => {
-    setFilteredBookings(bookings);
-  }, [bookings]);
+  const filters = useMemo(
+    () => parseBookingFilters(searchParams),
+    [searchParams]
+  );
+  const activeFilters = describeBookingFilters(filters);
+
+  const groups = useMemo(
+    () => groupBookings(filterBookings(bookings, filters, now), now),
+    [bookings, filters, now]
+  );
+  // Unaffected by the filters, so the countdown and export cover everything
+  const upcoming = useMemo(
+    () => groupBookings(bookings, now).upcoming.map(({ booking }) => booking),
+    [bookings, now]
+  );
+  const nextAppointment = upcoming[0];
+
+  const updateFilters = (changes) => {
+    setSearchParams(
+      (params) =>
+        writeBookingFilters(params, {
+          ...parseBookingFilters(params),
+          ...changes,
+        }),
+      { replace: true }
+    );
+  };
+
+  const describeSlot = (slot) =>
+    format(getAppointmentStart(slot), "hh:mm a 'on' E, d LLL");
+
+  const handleCancel = (booking) => {
+    setPendingAction({ type: "cancel", booking });
+  };
+
+  const handleNoShow = (booking) => {
+    setPendingAction({ type: "no-show", booking });
+  };
+
+  const handleReschedule =
+    (booking) =>
+    ({ bookingDate, bookingTime, bookingStart, bookingEnd, slotCapacity }) => {
+      setPendingAction({
+        type: "reschedule",
+        booking,
+        slot: {
+          bookingDate,
+          bookingTime,
+          bookingStart,
+          bookingEnd,
+          slotCapacity,
+        },
+      });
+    };
+
+  const closeDialog = () => {
+    setPendingAction(null);
+    setActionError("");
+  };
+
+  const confirmAction = async () => {
+    const { type, booking, slot } = pendingAction;
+    setActionError("");
+    setIsActionPending(true);
+    try {
+      if (type === "cancel") {
+        await cancelBooking(booking.bookingId);
+      } else if (type === "no-show") {
+        await markNoShow(booking.bookingId);
+      } else {
+        await rescheduleBooking(booking.bookingId, slot);
+      }
+    } catch (err) {
+      setActionError(err.message);
+      return;
+    } finally {
+      setIsActionPending(false);
+    }
+    setSuccessMessage(ACTIONS[type].success);
+    closeDialog();
+  };
+
+  const dialogMessage = () => {
+    if (!pendingAction) return "";
+    const { type, booking, slot } = pendingAction;
+    const current = describeSlot(booking);
+    if (type === "cancel") {
+      return `Cancel your appointment at ${booking["Hospital Name"]} for ${current}?`;
+    }
+    if (type === "no-show") {
+      return `Mark your appointment at ${booking["Hospital Name"]} for ${current} as missed?`;
+    }
+    return `Move your appointment at ${
+      booking["Hospital Name"]
+    } from ${current} to ${describeSlot(slot)}?`;
+  };
 
   return (
     <>
@@ -58,7 +242,7 @@ export default function MyBookings() {
                 sx={{ translate: "0 50px" }}
                 width={{ xs: 1, md: "auto" }}
               >
-                <SearchBar list={bookings} filterList={setFilteredBookings} />
+                <SearchBar filters={filters} onChange={updateFilters} />
               </Box>
             </Stack>
           </Container>
@@ -72,26 +256,122 @@ export default function MyBookings() {
               width={{ xs: 1, md: "calc(100% - 384px)" }}
               mr="24px"
             >
-                
-              {filteredBookings.length > 0 &&
-                filteredBookings.map((hospital) => (
-                  <HospitalCard
-                    key={hospital["Hospital Name"]}
-                    details={hospital}
-                    booking={true}
-                  />
-                ))}
-
-              {filteredBookings.length === 0 && (
-                <Typography variant="h3" bgcolor="#fff" p={3} borderRadius={2}>
-                  No Bookings Found!
-                </Typography>
+              {nextAppointment && <NextAppointment booking={nextAppointment} />}
+
+              <Stack
+                direction="row"
+                alignItems="center"
+                bgcolor="#fff"
+                borderRadius={2}
+                width={1}
+                pr={2}
+              >
+                <Tabs
+                  value={tab}
+                  onChange={(e, value) => setTab(value)}
+                  variant="scrollable"
+                  sx={{ flexGrow: 1 }}
+                >
+                  {TABS.map(({ value, label }) => (
+                    <Tab
+                      key={value}
+                      value={value}
+                      label={`${label} (${groups[value].length})`}
+                    />
+                  ))}
+                </Tabs>
+                <Button
+                  size="small"
+                  startIcon={<EventIcon />}
+                  disabled={upcoming.length === 0}
+                  onClick={() =>
+                    downloadIcs(upcoming, "medify-upcoming-bookings.ics")
+                  }
+                  sx={{ flexShrink: 0 }}
+                >
+                  Export upcoming
+                </Button>
+              </Stack>
+
+              {groups[tab].map(({ booking, status }) => (
+                <HospitalCard
+                  key={booking.bookingId}
+                  details={booking}
+                  booking={true}
+                  status={STATUS_LABELS[status]}
+                  handleBooking={handleReschedule(booking)}
+                  handleCancel={tab === "upcoming" ? handleCancel : undefined}
+                  handleViewSlip={
+                    tab === "upcoming" ? setSlipBooking : undefined
+                  }
+                  handleNoShow={
+                    status === STATUS.COMPLETED ? handleNoShow : undefined
+                  }
+                />
+              ))}
+
+              {isLoading &&
+                bookings.length === 0 &&
+                [1, 2].map((n) => <HospitalCardSkeleton key={n} />)}
+
+              {error && !isLoading && (
+                <FetchError
+                  message="We couldn't load your bookings. Please try again."
+                  onRetry={reload}
+                />
+              )}
+
+              {!isLoading && !error && groups[tab].length === 0 && (
+                <Box bgcolor="#fff" p={3} borderRadius={2} width={1}>
+                  <Typography variant="h3">
+                    No {TABS.find(({ value }) => value === tab).label} Bookings
+                    Found!
+                  </Typography>
+                  {activeFilters.length > 0 && (
+                    <>
+                      <Typography color="text.secondary" mt={1}>
+                        No {tab} bookings {activeFilters.join(", ")}.
+                      </Typography>
+                      <Button
+                        sx={{ mt: 1 }}
+                        onClick={() => updateFilters(EMPTY_BOOKING_FILTERS)}
+                      >
+                        Clear filters
+                      </Button>
+                    </>
+                  )}
+                </Box>
               )}
             </Stack>
 
-            <img src={cta} width={360} height="auto" alt="cta" />
+            <Stack spacing={3} width={{ xs: 1, md: 360 }} flexShrink={0}>
+              <ReminderSettings />
+              <img src={cta} width={360} height="auto" alt="cta" />
+            </Stack>
           </Stack>
         </Container>
+
+        <ConfirmDialog
+          open={Boolean(pendingAction)}
+          title={pendingAction ? ACTIONS[pendingAction.type].title : ""}
+          message={dialogMessage()}
+          error={actionError}
+          confirmLabel={pendingAction ? ACTIONS[pendingAction.type].label : ""}
+          pending={isActionPending}
+          onConfirm={confirmAction}
+          onClose={closeDialog}
+        />
+
+        <AppointmentSlip
+          booking={slipBooking}
+          onClose={() => setSlipBooking(null)}
+        />
+
+        <AutohideSnackbar
+          open={Boolean(successMessage)}
+          setOpen={() => setSuccessMessage("")}
+          message={successMessage}
+        />
       </Box>
     </>
   );
@@ -1,43 +1,69 @@
-import { Container, Stack, Box, Typography } from "@mui/material";
-import axios from "axios";
-import { useEffect, useState } from "react";
+import { Container, Stack, Box, Typography, Pagination } from "@mui/material";
+import { useEffect, useMemo, useState } from "react";
 import { useSearchParams } from "react-router-dom";
 import HospitalCard from "../components/HospitalCard/HospitalCard";
 import icon from "../assets/tick.png";
-import cta from "../assets/cta.png";
 import SearchHospital from "../components/SearchHospital/SearchHospital";
 import BookingModal from "../components/BookingModal/BookingModal";
 import AutohideSnackbar from "../components/AutohideSnackbar/AutohideSnackbar";
 import NavBar from "../components/NavBar/NavBar";
+import { fetchHospitals } from "../api/meddata";
+import { isCancelled } from "../api/client";
+import HospitalFilters from "../components/HospitalFilters/HospitalFilters";
+import HospitalCardSkeleton from "../components/HospitalCard/HospitalCardSkeleton";
+import FetchError from "../components/FetchError/FetchError";
+import NoResults from "../components/NoResults/NoResults";
+import {
+  PAGE_SIZE,
+  applyFilters,
+  paginate,
+  parseFilters,
+  parsePage,
+  writeFilters,
+} from "../utils/hospitals";
+import { getHospitalId } from "../utils/slots";
+import { getSpecialization } from "../utils/specializations";
 
 export default function Search() {
-  // eslint-disable-next-line
   const [seachParams, setSearchParams] = useSearchParams();
   const [hospitals, setHospitals] = useState([]);
   const [state, setState] = useState(seachParams.get("state"));
   const [city, setCity] = useState(seachParams.get("city"));
-  const availableSlots = {
-    morning: ["11:30 AM"],
-    afternoon: ["12:00 PM", "12:30 PM", "01:30 PM", "02:00 PM", "02:30 PM"],
-    evening: ["06:00 PM", "06:30 PM", "07:00 PM", "07:30 PM"],
-  };
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [bookingDetails, setBookingDetails] = useState({});
   const [showBookingSuccess, setShowBookingSuccess] = useState(false);
-  const [isLoading, setIsLoading] = useState(false);
+  const [isLoading, setIsLoading] = useState(
+    Boolean(seachParams.get("state") && seachParams.get("city"))
+  );
+  const [error, setError] = useState(null);
+  const [retryCount, setRetryCount] = useState(0);
+  const filters = useMemo(() => parseFilters(seachParams), [seachParams]);
+  const visibleHospitals = useMemo(
+    () => applyFilters(hospitals, filters),
+    [hospitals, filters]
+  );
+  const page = parsePage(seachParams, visibleHospitals.length);
+  const pageCount = Math.ceil(visibleHospitals.length / PAGE_SIZE);
+  const pageHospitals = paginate(visibleHospitals, page);
+  const specialization = getSpecialization(filters.specialization);
 
   useEffect(() => {
+    const controller = new AbortController();
     const getHospitals = async () => {
       setHospitals([]);
+      setError(null);
       setIsLoading(true);
       try {
-        const data = await axios.get(
-          `https://meddata-backend.onrender.com/data?state=${state}&city=${city}`
-        );
-        setHospitals(data.data);
+        const data = await fetchHospitals(state, city, {
+          signal: controller.signal,
+          onRevalidate: (fresh) =>
+            !controller.signal.aborted && setHospitals(fresh),
+        });
+        setHospitals(data);
         setIsLoading(false);
       } catch (err) {
-        console.log(err);
+        if (isCancelled(err)) return;
+        setError(err);
         setIsLoading(false);
       }
     };
@@ -45,7 +71,8 @@ export default function Search() {
     if (state && city) {
       getHospitals();
     }
-  }, [state, city]);
+    return () => controller.abort();
+  }, [state, city, retryCount]);
 
   useEffect(() => {
     setState(seachParams.get("state"));
@@ -57,6 +84,24 @@ export default function Search() {
     setIsModalOpen(true);
   };
 
+  const handleFilterChange = (changes) => {
+    setSearchParams((params) =>
+      writeFilters(params, { ...filters, ...changes })
+    );
+  };
+
+  const handlePageChange = (e, value) => {
+    setSearchParams((params) => {
+      if (value > 1) {
+        params.set("page", value);
+      } else {
+        params.delete("page");
+      }
+      return params;
+    });
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  };
+
   return (
     <>
       <NavBar />
@@ -100,7 +145,9 @@ export default function Search() {
                 mb={2}
                 fontWeight={500}
               >
-                {`${hospitals.length} medical centers available in `}
+                {specialization
+                  ? `${visibleHospitals.length} medical centers offering ${specialization.title} in `
+                  : `${visibleHospitals.length} medical centers available in `}
                 <span style={{ textTransform: "capitalize" }}>
                   {city.toLocaleLowerCase()}
                 </span>
@@ -122,30 +169,63 @@ export default function Search() {
               width={{ xs: 1, md: "calc(100% - 384px)" }}
               mr="24px"
             >
-              {hospitals.length > 0 &&
-                hospitals.map((hospital) => (
+              {pageHospitals.length > 0 &&
+                pageHospitals.map((hospital) => (
                   <HospitalCard
-                    key={hospital["Hospital Name"]}
+                    key={getHospitalId(hospital)}
                     details={hospital}
-                    availableSlots={availableSlots}
                     handleBooking={handleBookingModal}
                   />
                 ))}
 
-              {isLoading && (
+              {pageCount > 1 && (
+                <Pagination
+                  count={pageCount}
+                  page={page}
+                  onChange={handlePageChange}
+                  color="primary"
+                  sx={{ alignSelf: "center" }}
+                />
+              )}
+
+              {hospitals.length > 0 && visibleHospitals.length === 0 && (
                 <Typography variant="h3" bgcolor="#fff" p={3} borderRadius={2}>
-                  Loading...
+                  No hospitals match the selected filters
                 </Typography>
               )}
 
+              {isLoading &&
+                [1, 2, 3].map((n) => <HospitalCardSkeleton key={n} />)}
+
+              {error && !isLoading && (
+                <FetchError
+                  message="We couldn't load medical centers. Please check your connection and try again."
+                  onRetry={() => setRetryCount((prev) => prev + 1)}
+                />
+              )}
+
+              {state &&
+                city &&
+                !isLoading &&
+                !error &&
+                hospitals.length === 0 && (
+                  <NoResults state={state} city={city} />
+                )}
+
               {!state && (
                 <Typography variant="h3" bgcolor="#fff" p={3} borderRadius={2}>
-                  Please select a state and city
+                  {specialization
+                    ? `Please select a state and city to find ${specialization.title}`
+                    : "Please select a state and city"}
                 </Typography>
               )}
             </Stack>
 
-            <img src={cta} width={360} height="auto" alt="banner" />
+            <HospitalFilters
+              hospitals={hospitals}
+              filters={filters}
+              onChange={handleFilterChange}
+            />
           </Stack>
         </Container>
 
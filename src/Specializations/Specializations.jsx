@@ -0,0 +1,26 @@
+import { Box, Container, Grid, Typography } from "@mui/material";
+import NavBar from "../components/NavBar/NavBar";
+import SpecializationTile from "../components/SpecializationTile/SpecializationTile";
+import { SPECIALIZATIONS } from "../utils/specializations";
+
+export default function Specializations() {
+  return (
+    <>
+      <NavBar />
+      <Box sx={{ background: "linear-gradient(#E7F0FF, #E8F1FF)" }}>
+        <Container sx={{ pt: 4, pb: 10, textAlign: "center" }}>
+          <Typography variant="h2" component="h1" mb={4}>
+            All specialisations
+          </Typography>
+          <Grid container spacing={{ xs: 1, md: 3 }} justifyContent="center">
+            {SPECIALIZATIONS.map((specialization) => (
+              <Grid item xs={4} md={3} key={specialization.slug}>
+                <SpecializationTile specialization={specialization} />
+              </Grid>
+            ))}
+          </Grid>
+        </Container>
+      </Box>
+    </>
+  );
+}
@@ -0,0 +1,67 @@
+const STORAGE_PREFIX = "apiCache:";
+const memory = new Map();
+const revalidating = new Map();
+
+const readEntry = (key) => {
+  if (memory.has(key)) return memory.get(key);
+  try {
+    const entry = JSON.parse(localStorage.getItem(STORAGE_PREFIX + key));
+    if (entry) memory.set(key, entry);
+    return entry;
+  } catch (err) {
+    return null;
+  }
+};
+
+const writeEntry = (key, data) => {
+  const entry = { data, savedAt: Date.now() };
+  memory.set(key, entry);
+  try {
+    localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(entry));
+  } catch (err) {
+    // Storage full or unavailable, the in-memory copy still works
+  }
+  return data;
+};
+
+const revalidate = (key, fetcher) => {
+  if (!revalidating.has(key)) {
+    const request = fetcher({})
+      .then((data) => writeEntry(key, data))
+      .finally(() => revalidating.delete(key));
+    revalidating.set(key, request);
+  }
+  return revalidating.get(key);
+};
+
+/**
+ * Returns fresh data straight from the cache. Data older than `ttl` but
+ * younger than `maxAge` is returned as well, and refetched in the background;
+ * `onRevalidate` receives the new data once it arrives.
+ */
+export async function withCache(
+  key,
+  fetcher,
+  { ttl, maxAge = ttl, signal, onRevalidate } = {}
+) {
+  const entry = readEntry(key);
+  const age = entry ? Date.now() - entry.savedAt : Infinity;
+
+  if (age < ttl) return entry.data;
+
+  if (age < maxAge) {
+    revalidate(key, fetcher)
+      .then((data) => onRevalidate?.(data))
+      .catch(() => {});
+    return entry.data;
+  }
+
+  return writeEntry(key, await fetcher({ signal }));
+}
+
+export function clearCache() {
+  memory.clear();
+  Object.keys(localStorage)
+    .filter((key) => key.startsWith(STORAGE_PREFIX))
+    .forEach((key) => localStorage.removeItem(key));
+}
@@ -0,0 +1,50 @@
+import { clearCache, withCache } from "./cache";
+
+beforeEach(() => {
+  clearCache();
+  jest.useFakeTimers();
+});
+
+afterEach(() => jest.useRealTimers());
+
+const flushPromises = async () => {
+  for (let i = 0; i < 5; i++) await Promise.resolve();
+};
+
+test("serves fresh entries without refetching", async () => {
+  const fetcher = jest.fn().mockResolvedValue(["Alabama"]);
+  await withCache("states", fetcher, { ttl: 1000 });
+  expect(await withCache("states", fetcher, { ttl: 1000 })).toEqual(["Alabama"]);
+  expect(fetcher).toHaveBeenCalledTimes(1);
+});
+
+test("returns stale data and revalidates in the background", async () => {
+  const fetcher = jest
+    .fn()
+    .mockResolvedValueOnce(["Alabama"])
+    .mockResolvedValueOnce(["Alabama", "Alaska"]);
+  await withCache("states", fetcher, { ttl: 1000, maxAge: 5000 });
+  jest.advanceTimersByTime(2000);
+
+  const onRevalidate = jest.fn();
+  const data = await withCache("states", fetcher, {
+    ttl: 1000,
+    maxAge: 5000,
+    onRevalidate,
+  });
+  expect(data).toEqual(["Alabama"]);
+  await flushPromises();
+  expect(onRevalidate).toHaveBeenCalledWith(["Alabama", "Alaska"]);
+});
+
+test("waits for the network once an entry is past its max age", async () => {
+  const fetcher = jest
+    .fn()
+    .mockResolvedValueOnce(["Alabama"])
+    .mockResolvedValueOnce(["Alaska"]);
+  await withCache("states", fetcher, { ttl: 1000, maxAge: 5000 });
+  jest.advanceTimersByTime(6000);
+  expect(
+    await withCache("states", fetcher, { ttl: 1000, maxAge: 5000 })
+  ).toEqual(["Alaska"]);
+});
@@ -0,0 +1,46 @@
+import axios from "axios";
+
+export const API_BASE_URL =
+  process.env.REACT_APP_API_BASE_URL || "https://meddata-backend.onrender.com";
+
+export const MAX_RETRIES = 2;
+const RETRY_DELAY = 500;
+
+const client = axios.create({
+  baseURL: API_BASE_URL,
+  timeout: 15000,
+});
+
+export const isCancelled = (err) => axios.isCancel(err);
+
+// Only network failures, timeouts and 5xx responses are worth retrying
+const isRetryable = (err) =>
+  !isCancelled(err) && (!err.response || err.response.status >= 500);
+
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new axios.CanceledError());
+    };
+    // Callers reuse one signal across requests, so don't leave listeners on it
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+export async function get(url, { params, signal } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await client.get(url, { params, signal });
+      return response.data;
+    } catch (err) {
+      if (attempt >= MAX_RETRIES || !isRetryable(err)) throw err;
+      await wait(RETRY_DELAY * 2 ** attempt, signal);
+    }
+  }
+}
+
+export default client;
@@ -0,0 +1,85 @@
+import axios from "axios";
+import client, { MAX_RETRIES, get, isCancelled } from "./client";
+
+beforeEach(() => jest.useFakeTimers());
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+const serverError = Object.assign(new Error("Service Unavailable"), {
+  response: { status: 503 },
+});
+const networkError = new Error("Network Error");
+
+// Lets every retry delay run out, however many there are
+const settle = async (promise) => {
+  const result = promise.then(
+    (value) => ({ value }),
+    (error) => ({ error })
+  );
+  for (let i = 0; i <= MAX_RETRIES; i++) {
+    for (let j = 0; j < 5; j++) await Promise.resolve();
+    jest.runOnlyPendingTimers();
+  }
+  return result;
+};
+
+test("retries server and network errors MAX_RETRIES times", async () => {
+  const request = jest.spyOn(client, "get").mockRejectedValue(serverError);
+  expect(await settle(get("/states"))).toEqual({ error: serverError });
+  expect(request).toHaveBeenCalledTimes(MAX_RETRIES + 1);
+
+  request.mockReset();
+  request
+    .mockRejectedValueOnce(networkError)
+    .mockResolvedValueOnce({ data: ["Alabama"] });
+  expect(await settle(get("/states"))).toEqual({ value: ["Alabama"] });
+  expect(request).toHaveBeenCalledTimes(2);
+});
+
+test("does not retry client errors", async () => {
+  const notFound = Object.assign(new Error("Not Found"), {
+    response: { status: 404 },
+  });
+  const request = jest.spyOn(client, "get").mockRejectedValue(notFound);
+  expect(await settle(get("/states"))).toEqual({ error: notFound });
+  expect(request).toHaveBeenCalledTimes(1);
+});
+
+test("stops retrying and rejects as cancelled once aborted", async () => {
+  const controller = new AbortController();
+  const request = jest.spyOn(client, "get").mockRejectedValue(serverError);
+  const pending = get("/states", { signal: controller.signal }).catch(
+    (err) => err
+  );
+  for (let i = 0; i < 5; i++) await Promise.resolve();
+  controller.abort();
+  jest.runOnlyPendingTimers();
+
+  expect(isCancelled(await pending)).toBe(true);
+  expect(request).toHaveBeenCalledTimes(1);
+});
+
+test("passes on the abort error of a cancelled request", async () => {
+  const controller = new AbortController();
+  controller.abort();
+  const cancelled = new axios.CanceledError();
+  const request = jest.spyOn(client, "get").mockRejectedValue(cancelled);
+  expect(await settle(get("/states", { signal: controller.signal }))).toEqual({
+    error: cancelled,
+  });
+  expect(request).toHaveBeenCalledTimes(1);
+});
+
+test("removes its abort listener once the delay is over", async () => {
+  const controller = new AbortController();
+  const remove = jest.spyOn(controller.signal, "removeEventListener");
+  jest
+    .spyOn(client, "get")
+    .mockRejectedValueOnce(serverError)
+    .mockResolvedValueOnce({ data: [] });
+  await settle(get("/states", { signal: controller.signal }));
+  expect(remove).toHaveBeenCalledWith("abort", expect.any(Function));
+});
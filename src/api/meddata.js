@@ -0,0 +1,74 @@
+import { get } from "./client";
+import { withCache } from "./cache";
+import { getHospitalId } from "../utils/slots";
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * @typedef {Object} Hospital
+ * @property {string} "Provider ID"
+ * @property {string} "Hospital Name"
+ * @property {string} Address
+ * @property {string} City
+ * @property {string} State
+ * @property {string} "ZIP Code"
+ * @property {string} "Hospital Type"
+ * @property {string} "Hospital overall rating"
+ */
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {AbortSignal} [signal]
+ * @property {(data: any) => void} [onRevalidate] called when stale cached data has been refreshed
+ */
+
+/**
+ * @param {RequestOptions} [options]
+ * @returns {Promise<string[]>}
+ */
+export const fetchStates = ({ signal, onRevalidate } = {}) =>
+  withCache("states", (opts) => get("/states", opts), {
+    ttl: DAY,
+    maxAge: 30 * DAY,
+    signal,
+    onRevalidate,
+  });
+
+/**
+ * @param {string} state
+ * @param {RequestOptions} [options]
+ * @returns {Promise<string[]>}
+ */
+export const fetchCities = (state, { signal, onRevalidate } = {}) =>
+  withCache(
+    `cities:${state}`,
+    (opts) => get(`/cities/${encodeURIComponent(state)}`, opts),
+    { ttl: DAY, maxAge: 30 * DAY, signal, onRevalidate }
+  );
+
+/**
+ * @param {string} state
+ * @param {string} city
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Hospital[]>}
+ */
+export const fetchHospitals = (state, city, { signal, onRevalidate } = {}) =>
+  withCache(
+    `hospitals:${state}:${city}`,
+    (opts) => get("/data", { params: { state, city }, ...opts }),
+    { ttl: HOUR, maxAge: 7 * DAY, signal, onRevalidate }
+  );
+
+/**
+ * The API has no lookup by ID, so the hospital is found in its city's list.
+ * @param {string} id
+ * @param {string} state
+ * @param {string} city
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Hospital|undefined>}
+ */
+export const fetchHospital = async (id, state, city, { signal } = {}) => {
+  const hospitals = await fetchHospitals(state, city, { signal });
+  return hospitals.find((hospital) => getHospitalId(hospital) === id);
+};
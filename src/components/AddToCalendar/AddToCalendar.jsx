@@ -0,0 +1,54 @@
+import { Button, Menu, MenuItem } from "@mui/material";
+import { useState } from "react";
+import EventIcon from "@mui/icons-material/Event";
+import {
+  downloadIcs,
+  googleCalendarUrl,
+  outlookCalendarUrl,
+} from "../../utils/calendar";
+
+export default function AddToCalendar({ booking, ...buttonProps }) {
+  const [anchorEl, setAnchorEl] = useState(null);
+  const close = () => setAnchorEl(null);
+
+  const download = () => {
+    downloadIcs([booking], `${booking.bookingId}.ics`);
+    close();
+  };
+
+  return (
+    <>
+      <Button
+        variant="outlined"
+        startIcon={<EventIcon />}
+        onClick={(e) => setAnchorEl(e.currentTarget)}
+        aria-haspopup="true"
+        aria-expanded={Boolean(anchorEl)}
+        {...buttonProps}
+      >
+        Add to calendar
+      </Button>
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={close}>
+        <MenuItem onClick={download}>Apple / Outlook (.ics)</MenuItem>
+        <MenuItem
+          component="a"
+          href={googleCalendarUrl(booking)}
+          target="_blank"
+          rel="noopener noreferrer"
+          onClick={close}
+        >
+          Google Calendar
+        </MenuItem>
+        <MenuItem
+          component="a"
+          href={outlookCalendarUrl(booking)}
+          target="_blank"
+          rel="noopener noreferrer"
+          onClick={close}
+        >
+          Outlook.com
+        </MenuItem>
+      </Menu>
+    </>
+  );
+}
@@ -0,0 +1,138 @@
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  Divider,
+  Stack,
+  Typography,
+} from "@mui/material";
+import { useEffect, useState } from "react";
+import PrintIcon from "@mui/icons-material/Print";
+import DownloadIcon from "@mui/icons-material/Download";
+import {
+  downloadSlipPdf,
+  getQrCodeSvgUrl,
+  getSlipRows,
+} from "../../utils/appointmentSlip";
+import { getAddress } from "../../utils/hospitals";
+import styles from "./AppointmentSlip.module.css";
+
+export default function AppointmentSlip({ booking, onClose }) {
+  const [qrCode, setQrCode] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!booking) return;
+    let active = true;
+    setQrCode("");
+    getQrCodeSvgUrl(booking)
+      .then((url) => active && setQrCode(url))
+      .catch(() => {});
+    return () => {
+      active = false;
+    };
+  }, [booking]);
+
+  useEffect(() => {
+    if (!booking) return;
+    document.body.classList.add("printing-slip");
+    return () => document.body.classList.remove("printing-slip");
+  }, [booking]);
+
+  const handleDownload = async () => {
+    setIsSaving(true);
+    setError("");
+    try {
+      await downloadSlipPdf(booking);
+    } catch (err) {
+      setError("We couldn't create the PDF. Please try printing instead.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={Boolean(booking)} onClose={onClose} fullWidth maxWidth="sm">
+      {booking && (
+        <DialogContent>
+          <Box className={styles.slip}>
+            <Stack direction="row" justifyContent="space-between" spacing={2}>
+              <Box>
+                <Typography fontSize={14} color="#787887">
+                  Appointment slip
+                </Typography>
+                <Typography
+                  component="h2"
+                  fontSize={20}
+                  fontWeight={700}
+                  textTransform="capitalize"
+                >
+                  {booking["Hospital Name"].toLowerCase()}
+                </Typography>
+                <Typography fontSize={14} color="#414146">
+                  {getAddress(booking)}
+                </Typography>
+              </Box>
+              {qrCode && (
+                <img
+                  src={qrCode}
+                  alt={`QR code for booking ${booking.bookingId}`}
+                  className={styles.qr}
+                />
+              )}
+            </Stack>
+            <Divider sx={{ my: 2 }} />
+            <Box
+              component="dl"
+              display="grid"
+              gridTemplateColumns="max-content 1fr"
+              columnGap={3}
+              rowGap={1}
+              m={0}
+            >
+              {getSlipRows(booking).map(([label, value]) => (
+                <Box key={label} display="contents">
+                  <Typography component="dt" fontSize={14} color="#787887">
+                    {label}
+                  </Typography>
+                  <Typography component="dd" fontSize={14} m={0}>
+                    {value}
+                  </Typography>
+                </Box>
+              ))}
+            </Box>
+            <Typography fontSize={20} fontWeight={700} mt={2}>
+              {`Booking ID: ${booking.bookingId}`}
+            </Typography>
+            <Typography fontSize={12} color="#787887" mt={1}>
+              Please show this slip at the reception desk.
+            </Typography>
+          </Box>
+          {error && (
+            <Typography color="error" fontSize={14} mt={2}>
+              {error}
+            </Typography>
+          )}
+        </DialogContent>
+      )}
+      <DialogActions className={styles.actions}>
+        <Button onClick={onClose}>Close</Button>
+        <Button startIcon={<PrintIcon />} onClick={() => window.print()}>
+          Print
+        </Button>
+        <Button
+          variant="contained"
+          disableElevation
+          startIcon={<DownloadIcon />}
+          onClick={handleDownload}
+          disabled={isSaving}
+        >
+          {isSaving ? "Preparing..." : "Download PDF"}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
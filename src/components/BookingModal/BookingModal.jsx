@@ -1,13 +1,24 @@
 import {
+  Alert,
   Modal,
   Typography,
   Box,
-  TextField,
   Button,
   Stack,
+  Step,
+  StepLabel,
+  Stepper,
 } from "@mui/material";
+import CheckCircleIcon from "@mui/icons-material/CheckCircle";
 import { format } from "date-fns";
 import { useState } from "react";
+import { addBooking } from "../../store/bookingRepository";
+import { EMPTY_PATIENT, validatePatient } from "../../utils/patient";
+import PatientDetailsForm from "./PatientDetailsForm";
+import BookingSummary from "./BookingSummary";
+import AddToCalendar from "../AddToCalendar/AddToCalendar";
+
+const STEPS = ["Slot", "Patient details", "Review", "Confirmation"];
 
 export default function BookingModal({
   setOpen,
@@ -15,15 +26,65 @@ export default function BookingModal({
   bookingDetails,
   showSuccessMessage,
 }) {
-  const [email, setEmail] = useState("");
-  const handleBooking = (e) => {
+  const [step, setStep] = useState(0);
+  const [patient, setPatient] = useState(EMPTY_PATIENT);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState("");
+  const [confirmedBooking, setConfirmedBooking] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleChange = (name, value) => {
+    setPatient((prev) => ({ ...prev, [name]: value }));
+    setFieldErrors((prev) => ({ ...prev, [name]: undefined }));
+  };
+
+  const handlePatientDetails = (e) => {
     e.preventDefault();
+    const errors = validatePatient(patient);
+    if (Object.keys(errors).length > 0) {
+      setFieldErrors(errors);
+      return;
+    }
+    setStep(2);
+  };
+
+  const handleBooking = async () => {
+    const { email, ...details } = patient;
+    setIsSubmitting(true);
+    try {
+      setConfirmedBooking(
+        await addBooking({
+          ...bookingDetails,
+          bookingEmail: email.trim(),
+          patient: {
+            ...details,
+            name: details.name.trim(),
+            phone: details.phone.replace(/\s/g, ""),
+            age: Number(details.age),
+            reason: details.reason.trim(),
+          },
+        })
+      );
+    } catch (err) {
+      setError(err.message);
+      return;
+    } finally {
+      setIsSubmitting(false);
+    }
     triggerEvent();
-    const bookings = localStorage.getItem("bookings") || "[]";
-    const oldBookings = JSON.parse(bookings);
-    localStorage.setItem("bookings", JSON.stringify([...oldBookings, { ...bookingDetails, bookingEmail: email },]));
-    showSuccessMessage(true);
-    setEmail("");
+    setError("");
+    setStep(3);
+  };
+
+  const handleClose = () => {
+    if (step === 3) {
+      showSuccessMessage(true);
+      setPatient(EMPTY_PATIENT);
+      setConfirmedBooking(null);
+    }
+    setStep(0);
+    setError("");
+    setFieldErrors({});
     setOpen(false);
   };
 
@@ -49,7 +110,7 @@ export default function BookingModal({
   };
 
   return (
-    <Modal open={open} onClose={() => setOpen(false)}>
+    <Modal open={open} onClose={handleClose}>
       <Box
         sx={{
           width: "95%",
@@ -61,54 +122,148 @@ export default function BookingModal({
           boxShadow: 24,
           p: { xs: 3, md: 4 },
           outline: 0,
+          maxHeight: "90vh",
+          overflowY: "auto",
           bgcolor: "#fff",
           borderRadius: 2,
         }}
       >
-        <Typography component="h3" variant="h3">
-          Confirm booking
-        </Typography>
-        <Typography fontSize={14} mb={3}>
-          <Box component="span">
-            Please enter your email to confirm booking for{" "}
-          </Box>
-          <Box component="span" fontWeight={600}>
-            {`${bookingDetails.bookingTime} on ${formatDate(
-              bookingDetails.bookingDate
-            )}`}
-          </Box>
-        </Typography>
-        <form onSubmit={handleBooking}>
+        <Stepper activeStep={step} alternativeLabel sx={{ mb: 3 }}>
+          {STEPS.map((label) => (
+            <Step key={label}>
+              <StepLabel>{label}</StepLabel>
+            </Step>
+          ))}
+        </Stepper>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {step === 0 && (
+          <Stack alignItems="flex-start" spacing={2}>
+            <Typography component="h3" variant="h3">
+              Selected slot
+            </Typography>
+            <Typography fontSize={14}>
+              <Box component="span">You are booking a visit </Box>
+              {bookingDetails.doctor && (
+                <Box component="span">
+                  {`with ${bookingDetails.doctor.name} `}
+                </Box>
+              )}
+              <Box component="span">at </Box>
+              <Box component="span" textTransform="capitalize">
+                {bookingDetails["Hospital Name"]?.toLowerCase()}
+              </Box>
+              <Box component="span"> for </Box>
+              <Box component="span" fontWeight={600}>
+                {`${bookingDetails.bookingTime} on ${formatDate(
+                  bookingDetails.bookingDate
+                )}`}
+              </Box>
+            </Typography>
+            <Stack direction="row" spacing={1}>
+              <Button
+                variant="contained"
+                size="large"
+                disableElevation
+                onClick={() => setStep(1)}
+              >
+                Continue
+              </Button>
+              <Button variant="outlined" size="large" onClick={handleClose}>
+                Change slot
+              </Button>
+            </Stack>
+          </Stack>
+        )}
+
+        {step === 1 && (
+          <form onSubmit={handlePatientDetails} noValidate>
+            <Stack alignItems="flex-start" spacing={2}>
+              <Typography component="h3" variant="h3">
+                Patient details
+              </Typography>
+              <PatientDetailsForm
+                values={patient}
+                errors={fieldErrors}
+                onChange={handleChange}
+              />
+              <Stack direction="row" spacing={1}>
+                <Button
+                  type="submit"
+                  variant="contained"
+                  size="large"
+                  disableElevation
+                >
+                  Continue
+                </Button>
+                <Button
+                  variant="outlined"
+                  size="large"
+                  onClick={() => setStep(0)}
+                >
+                  Back
+                </Button>
+              </Stack>
+            </Stack>
+          </form>
+        )}
+
+        {step === 2 && (
           <Stack alignItems="flex-start" spacing={2}>
-            <TextField
-              type="email"
-              label="Enter your email"
-              variant="outlined"
-              fullWidth
-              required
-              value={email}
-              onChange={(e) => setEmail(e.target.value)}
-            />
+            <Typography component="h3" variant="h3">
+              Review booking
+            </Typography>
+            <BookingSummary booking={bookingDetails} patient={patient} />
             <Stack direction="row" spacing={1}>
               <Button
-                type="submit"
                 variant="contained"
                 size="large"
                 disableElevation
+                disabled={isSubmitting}
+                onClick={handleBooking}
               >
-                Confirm
+                Confirm booking
               </Button>
               <Button
                 variant="outlined"
                 size="large"
-                disableElevation
-                onClick={() => setOpen(false)}
+                onClick={() => setStep(1)}
               >
-                Cancel
+                Back
               </Button>
             </Stack>
           </Stack>
-        </form>
+        )}
+
+        {step === 3 && confirmedBooking && (
+          <Stack alignItems="center" spacing={2} textAlign="center">
+            <CheckCircleIcon sx={{ fontSize: 56, color: "primary.green" }} />
+            <Typography component="h3" variant="h3">
+              Booking confirmed
+            </Typography>
+            <Typography fontSize={14} color="#787887">
+              Your booking ID
+            </Typography>
+            <Typography fontSize={24} fontWeight={700} letterSpacing={1}>
+              {confirmedBooking.bookingId}
+            </Typography>
+            <BookingSummary booking={confirmedBooking} patient={patient} />
+            <AddToCalendar booking={confirmedBooking} size="large" />
+            <Button
+              variant="contained"
+              size="large"
+              disableElevation
+              onClick={handleClose}
+            >
+              Done
+            </Button>
+          </Stack>
+        )}
       </Box>
     </Modal>
   );
@@ -0,0 +1,62 @@
+import { Box, Grid, Typography } from "@mui/material";
+import { format } from "date-fns";
+import { BOOKING_FOR, formatPhone } from "../../utils/patient";
+
+function SummaryItem({ label, value, xs = 6 }) {
+  return (
+    <Grid item xs={xs}>
+      <Typography fontSize={12} color="#787887">
+        {label}
+      </Typography>
+      <Typography fontSize={14} fontWeight={500}>
+        {value}
+      </Typography>
+    </Grid>
+  );
+}
+
+export default function BookingSummary({ booking, patient }) {
+  const bookingFor = BOOKING_FOR.find(
+    (option) => option.value === patient.bookingFor
+  );
+  return (
+    <Box
+      bgcolor="#FAFBFE"
+      borderRadius={2}
+      p={2}
+      width={1}
+      boxSizing="border-box"
+    >
+      <Grid container spacing={2}>
+        <SummaryItem
+          xs={12}
+          label="Hospital"
+          value={
+            <Box component="span" textTransform="capitalize">
+              {booking["Hospital Name"]?.toLowerCase()}
+            </Box>
+          }
+        />
+        {booking.doctor && (
+          <SummaryItem
+            xs={12}
+            label="Doctor"
+            value={`${booking.doctor.name}, ${booking.doctor.specialization}`}
+          />
+        )}
+        <SummaryItem
+          label="Date"
+          value={format(new Date(booking.bookingDate), "E, d LLL yyyy")}
+        />
+        <SummaryItem label="Time" value={booking.bookingTime} />
+        <SummaryItem label="Patient" value={patient.name} />
+        <SummaryItem label="Booking for" value={bookingFor?.label} />
+        <SummaryItem label="Age" value={patient.age} />
+        <SummaryItem label="Gender" value={patient.gender} />
+        <SummaryItem label="Phone" value={formatPhone(patient.phone)} />
+        <SummaryItem label="Email" value={patient.email} />
+        <SummaryItem xs={12} label="Reason for visit" value={patient.reason} />
+      </Grid>
+    </Box>
+  );
+}
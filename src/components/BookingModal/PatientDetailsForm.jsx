@@ -0,0 +1,93 @@
+import {
+  FormControl,
+  FormControlLabel,
+  FormLabel,
+  Grid,
+  InputAdornment,
+  MenuItem,
+  Radio,
+  RadioGroup,
+  TextField,
+} from "@mui/material";
+import { BOOKING_FOR, GENDERS } from "../../utils/patient";
+
+export default function PatientDetailsForm({ values, errors, onChange }) {
+  const fieldProps = (name) => ({
+    name,
+    value: values[name],
+    onChange: (e) => onChange(name, e.target.value),
+    error: Boolean(errors[name]),
+    helperText: errors[name],
+    fullWidth: true,
+    required: true,
+  });
+
+  return (
+    <Grid container spacing={2}>
+      <Grid item xs={12}>
+        <FormControl>
+          <FormLabel id="booking-for-label">Booking for</FormLabel>
+          <RadioGroup
+            row
+            aria-labelledby="booking-for-label"
+            value={values.bookingFor}
+            onChange={(e) => onChange("bookingFor", e.target.value)}
+          >
+            {BOOKING_FOR.map((option) => (
+              <FormControlLabel
+                key={option.value}
+                value={option.value}
+                label={option.label}
+                control={<Radio />}
+              />
+            ))}
+          </RadioGroup>
+        </FormControl>
+      </Grid>
+      <Grid item xs={12}>
+        <TextField label="Patient name" {...fieldProps("name")} />
+      </Grid>
+      <Grid item xs={12} sm={6}>
+        <TextField type="email" label="Email" {...fieldProps("email")} />
+      </Grid>
+      <Grid item xs={12} sm={6}>
+        <TextField
+          label="Phone number"
+          inputProps={{ inputMode: "numeric", maxLength: 11 }}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">+91</InputAdornment>
+            ),
+          }}
+          {...fieldProps("phone")}
+        />
+      </Grid>
+      <Grid item xs={6}>
+        <TextField
+          type="number"
+          label="Age"
+          inputProps={{ min: 0, max: 120 }}
+          {...fieldProps("age")}
+        />
+      </Grid>
+      <Grid item xs={6}>
+        <TextField select label="Gender" {...fieldProps("gender")}>
+          {GENDERS.map((gender) => (
+            <MenuItem key={gender} value={gender}>
+              {gender}
+            </MenuItem>
+          ))}
+        </TextField>
+      </Grid>
+      <Grid item xs={12}>
+        <TextField
+          label="Reason for visit"
+          multiline
+          minRows={2}
+          inputProps={{ maxLength: 300 }}
+          {...fieldProps("reason")}
+        />
+      </Grid>
+    </Grid>
+  );
+}
@@ -3,23 +3,37 @@ import { Box } from "@mui/material";
 import { startOfDay } from "date-fns";
 import TimeSlotPicker from "./TimeSlotPicker/TimeSlotPicker";
 import { useState } from "react";
+import {
+  countFreeSlots,
+  getBookingDays,
+  getDayClosure,
+} from "../../utils/slots";
+import { getOpenSlots } from "../../store/bookingRepository";
+import useBookings from "../../store/useBookings";
 
-export default function Calendar({ availableSlots, details, handleBooking }) {
-  const [selectedDate, setSelectedDate] = useState(startOfDay(new Date()));
-  const totalSlots =
-    availableSlots.morning.length +
-    availableSlots.afternoon.length +
-    availableSlots.evening.length;
+export default function Calendar({ details, handleBooking }) {
+  const [selectedDate, setSelectedDate] = useState(
+    () =>
+      getBookingDays(details).find((date) => !getDayClosure(details, date)) ||
+      startOfDay(new Date())
+  );
+  const { bookings } = useBookings();
+  const now = new Date();
+  const slots = getOpenSlots(details, selectedDate, bookings, now);
+  const days = getBookingDays(details, now).map((date) => ({
+    date,
+    closedReason: getDayClosure(details, date),
+    freeSlots: countFreeSlots(getOpenSlots(details, date, bookings, now)),
+  }));
   return (
     <Box>
       <DaySelector
         selectedDate={selectedDate}
         setSelectedDate={setSelectedDate}
-        totalSlots={totalSlots}
+        days={days}
       />
       <TimeSlotPicker
-        availableSlots={availableSlots}
-        selectedDate={selectedDate}
+        slots={slots}
         details={details}
         handleBooking={handleBooking}
       />
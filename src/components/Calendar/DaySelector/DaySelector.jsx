@@ -1,16 +1,12 @@
 import { Swiper, SwiperSlide } from 'swiper/react';
 import 'swiper/css';
-import { Box, Divider, Stack, Typography } from '@mui/material';
+import { Box, Divider, Stack, Tooltip, Typography } from '@mui/material';
 import styles from './DaySelector.module.css'
 import { format, add, isEqual, startOfDay } from 'date-fns'
 import { SlideNextButton, SlidePrevButton } from './SliderButtons';
 
-export default function DaySelector({ selectedDate, setSelectedDate, totalSlots }) {
+export default function DaySelector({ selectedDate, setSelectedDate, days }) {
     const date = startOfDay(new Date())
-    const dateItems = []
-    for (let i = 0; i < 7; i++) {
-        dateItems.push(add(date, { days: i }))
-    }
     const customDateFormat = day => {
         if (isEqual(date, day)) {
             return 'Today'
@@ -40,37 +36,40 @@ export default function DaySelector({ selectedDate, setSelectedDate, totalSlots
                     }
                 }}
             >
-                {dateItems.map((day, index) => (
-                    <SwiperSlide key={index} className={styles.swiperslide}>
-                        <Stack
-                            textAlign='center'
-                            onClick={() => handleClick(day)}
-                            sx={{ cursor: 'pointer' }}
-                        >
-                            <Typography
-                                fontWeight={isEqual(day, selectedDate) ? 700 : 400}
-                                fontSize={{ xs: 11, md: 16 }}
+                {days.map(({ date: day, freeSlots, closedReason }) => (
+                    <SwiperSlide key={day.getTime()} className={styles.swiperslide}>
+                        <Tooltip title={closedReason || ''} describeChild arrow>
+                            <Stack
+                                textAlign='center'
+                                onClick={() => !closedReason && handleClick(day)}
+                                aria-disabled={Boolean(closedReason)}
+                                sx={{ cursor: closedReason ? 'not-allowed' : 'pointer', opacity: closedReason ? 0.5 : 1 }}
                             >
-                                {customDateFormat(day)}
-                            </Typography>
-                            <Typography fontSize={{ xs: 8, md: 12 }} color='primary.green'>
-                                {`${totalSlots} Slots Available`}
-                            </Typography>
+                                <Typography
+                                    fontWeight={isEqual(day, selectedDate) ? 700 : 400}
+                                    fontSize={{ xs: 11, md: 16 }}
+                                >
+                                    {customDateFormat(day)}
+                                </Typography>
+                                <Typography fontSize={{ xs: 8, md: 12 }} color={freeSlots > 0 ? 'primary.green' : '#ABB6C7'}>
+                                    {closedReason ? 'Closed' : freeSlots > 0 ? `${freeSlots} Slots Available` : 'No Slots Available'}
+                                </Typography>
 
-                            <Box
-                                height={{ xs: '4px', md: '5px' }}
-                                width={{ xs: 1, md: 'calc(100% - 50px)' }}
-                                position='relative'
-                                bottom='0'
-                                bgcolor={isEqual(day, selectedDate) ? 'primary.main' : 'rgba(0,0,0,0)'}
-                                left={0}
-                                zIndex={999}
-                                mt='5px'
-                                mx='auto'
-                            >
-                            </Box>
+                                <Box
+                                    height={{ xs: '4px', md: '5px' }}
+                                    width={{ xs: 1, md: 'calc(100% - 50px)' }}
+                                    position='relative'
+                                    bottom='0'
+                                    bgcolor={isEqual(day, selectedDate) ? 'primary.main' : 'rgba(0,0,0,0)'}
+                                    left={0}
+                                    zIndex={999}
+                                    mt='5px'
+                                    mx='auto'
+                                >
+                                </Box>
 
-                        </Stack>
+                            </Stack>
+                        </Tooltip>
                     </SwiperSlide>
                 ))}
 
@@ -1,15 +1,19 @@
 import { Chip, Stack, Typography, Divider } from "@mui/material";
-export default function TimeSlotPicker({
-  availableSlots,
-  details,
-  handleBooking,
-  selectedDate,
-}) {
+import { PERIODS, formatSlotTime, toBookingSlot } from "../../../utils/slots";
+
+const getLabel = ({ start, capacity, remaining }) => {
+  const time = formatSlotTime(start);
+  if (remaining === 0) return `${time} (Booked)`;
+  return capacity > 1 ? `${time} (${remaining} left)` : time;
+};
+
+export default function TimeSlotPicker({ slots, details, handleBooking }) {
   const CustomChip = (props) => (
     <Chip
-      label={props.label}
+      label={getLabel(props.slot)}
       color="primary"
       variant="outlined"
+      disabled={props.slot.remaining === 0}
       sx={{
         borderRadius: "5px",
         fontSize: { xs: 10, md: 14 },
@@ -25,61 +29,28 @@ export default function TimeSlotPicker({
   );
 
   const handleClick = (slot) => {
-    handleBooking({ ...details, bookingDate: selectedDate, bookingTime: slot });
+    handleBooking({ ...details, ...toBookingSlot(slot) });
   };
 
+  const periods = PERIODS.filter(({ name }) => slots[name].length > 0);
+
+  if (periods.length === 0) {
+    return (
+      <Typography pt={3} textAlign="center" color="#787887">
+        No slots left on this day. Please pick another day.
+      </Typography>
+    );
+  }
+
   return (
     <Stack
       pt={3}
       spacing={{ xs: 2, md: 3 }}
       divider={<Divider orientation="horizontal" flexItem />}
     >
-      {availableSlots.morning.length > 0 && (
-        <Stack
-          direction="row"
-          alignItems="center"
-          px={{ xs: 0, md: 6 }}
-          flexWrap={"wrap"}
-        >
-          <Typography
-            width={{ xs: 1, md: "15%" }}
-            fontSize={{ xs: 14, md: 16 }}
-          >
-            Morning
-          </Typography>
-          {availableSlots.morning.map((slot) => (
-            <CustomChip
-              key={slot}
-              label={slot}
-              handleClick={() => handleClick(slot)}
-            />
-          ))}
-        </Stack>
-      )}
-      {availableSlots.afternoon.length > 0 && (
-        <Stack
-          direction="row"
-          alignItems="center"
-          px={{ xs: 0, md: 6 }}
-          flexWrap={"wrap"}
-        >
-          <Typography
-            width={{ xs: 1, md: "15%" }}
-            fontSize={{ xs: 14, md: 16 }}
-          >
-            Afternoon
-          </Typography>
-          {availableSlots.afternoon.map((slot) => (
-            <CustomChip
-              key={slot}
-              label={slot}
-              handleClick={() => handleClick(slot)}
-            />
-          ))}
-        </Stack>
-      )}
-      {availableSlots.afternoon.length > 0 && (
+      {periods.map(({ name, label }) => (
         <Stack
+          key={name}
           direction="row"
           alignItems="center"
           px={{ xs: 0, md: 6 }}
@@ -89,17 +60,17 @@ export default function TimeSlotPicker({
             width={{ xs: 1, md: "15%" }}
             fontSize={{ xs: 14, md: 16 }}
           >
-            Evening
+            {label}
           </Typography>
-          {availableSlots.evening.map((slot) => (
+          {slots[name].map((slot) => (
             <CustomChip
-              key={slot}
-              label={slot}
+              key={slot.start.getTime()}
+              slot={slot}
               handleClick={() => handleClick(slot)}
             />
           ))}
         </Stack>
-      )}
+      ))}
     </Stack>
   );
 }
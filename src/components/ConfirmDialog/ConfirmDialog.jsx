@@ -0,0 +1,53 @@
+import {
+  Alert,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+} from "@mui/material";
+
+export default function ConfirmDialog({
+  open,
+  title,
+  message,
+  error,
+  confirmLabel = "Confirm",
+  pending = false,
+  onConfirm,
+  onClose,
+}) {
+  // A pending action can be neither confirmed again nor dismissed
+  return (
+    <Dialog
+      open={open}
+      onClose={pending ? undefined : onClose}
+      maxWidth="xs"
+      fullWidth
+    >
+      <DialogTitle>{title}</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <DialogContentText>{message}</DialogContentText>
+      </DialogContent>
+      <DialogActions sx={{ px: 3, pb: 2 }}>
+        <Button variant="outlined" onClick={onClose} disabled={pending}>
+          Go Back
+        </Button>
+        <Button
+          variant="contained"
+          disableElevation
+          onClick={onConfirm}
+          disabled={pending}
+        >
+          {confirmLabel}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -0,0 +1,73 @@
+import { Box, Button, Stack, Typography } from "@mui/material";
+import { Link } from "react-router-dom";
+import { doctorPath, getSpecializationTitle } from "../../utils/doctors";
+
+export default function DoctorCard({ doctor }) {
+  return (
+    <Box
+      sx={{ borderRadius: 2, bgcolor: "#fff", p: { xs: 2, md: 3 } }}
+      height={1}
+      boxSizing="border-box"
+    >
+      <Stack direction="row" spacing={2}>
+        <Box
+          component="img"
+          src={doctor.img}
+          alt={doctor.name}
+          width={{ xs: 80, md: 110 }}
+          height={{ xs: 90, md: 124 }}
+          sx={{
+            objectFit: "cover",
+            objectPosition: "top",
+            borderRadius: "60px 60px 4px 4px",
+            bgcolor: "#E7F0FF",
+            flexShrink: 0,
+          }}
+        />
+        <Box flex={1}>
+          <Typography
+            component="h3"
+            color="primary.main"
+            fontWeight={600}
+            fontSize={{ xs: 18, md: 20 }}
+            lineHeight={1.2}
+            mb="4px"
+          >
+            <Link
+              to={doctorPath(doctor)}
+              style={{ color: "inherit", textDecoration: "none" }}
+            >
+              {doctor.name}
+            </Link>
+          </Typography>
+          <Typography fontSize={14} fontWeight={600} color="#1B3C74">
+            {getSpecializationTitle(doctor)}
+          </Typography>
+          <Typography fontSize={14} color="#787887" mb={1}>
+            {`${doctor.experience} years experience`}
+          </Typography>
+          <Typography fontSize={14} color="#414146">
+            {doctor.hospital.name}
+          </Typography>
+          <Typography
+            fontSize={14}
+            color="#414146"
+            fontWeight={700}
+            textTransform="capitalize"
+            mb={2}
+          >
+            {doctor.hospital.city.toLowerCase()}
+          </Typography>
+          <Button
+            component={Link}
+            to={doctorPath(doctor)}
+            variant="contained"
+            disableElevation
+          >
+            Book Appointment
+          </Button>
+        </Box>
+      </Stack>
+    </Box>
+  );
+}
@@ -0,0 +1,17 @@
+import { Alert, Button } from "@mui/material";
+
+export default function FetchError({ message, onRetry, sx }) {
+  return (
+    <Alert
+      severity="error"
+      sx={sx}
+      action={
+        <Button color="inherit" size="small" onClick={onRetry}>
+          Retry
+        </Button>
+      }
+    >
+      {message}
+    </Alert>
+  );
+}
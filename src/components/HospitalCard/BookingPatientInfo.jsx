@@ -0,0 +1,36 @@
+import { Box, Typography } from "@mui/material";
+import { formatPhone } from "../../utils/patient";
+
+export default function BookingPatientInfo({ booking }) {
+  const { patient, bookingEmail } = booking;
+  return (
+    <Box mt={2} fontSize={14} color="#414146">
+      {booking.bookingId && (
+        <Typography fontSize={14} fontWeight={700} mb={1}>
+          {`Booking ID: ${booking.bookingId}`}
+        </Typography>
+      )}
+      {patient && (
+        <>
+          <Typography fontSize={14} fontWeight={600}>
+            {patient.name}
+            <Box component="span" fontWeight={400} color="#787887">
+              {` · ${patient.bookingFor === "family" ? "Family member" : "Self"}`}
+            </Box>
+          </Typography>
+          <Typography fontSize={14}>
+            {`${patient.age} yrs, ${patient.gender} · ${formatPhone(
+              patient.phone
+            )}`}
+          </Typography>
+        </>
+      )}
+      {bookingEmail && <Typography fontSize={14}>{bookingEmail}</Typography>}
+      {patient?.reason && (
+        <Typography fontSize={14} color="#787887">
+          {`Reason: ${patient.reason}`}
+        </Typography>
+      )}
+    </Box>
+  );
+}
@@ -4,12 +4,20 @@ import { format } from "date-fns";
 import thumb from "../../assets/thumbsup.png";
 import Calendar from "../Calendar/Calendar";
 import { Box, Button, Chip, Divider, Stack, Typography } from "@mui/material";
+import { Link } from "react-router-dom";
+import { hospitalPath } from "../../utils/hospitals";
+import { doctorPath } from "../../utils/doctors";
+import BookingPatientInfo from "./BookingPatientInfo";
+import AddToCalendar from "../AddToCalendar/AddToCalendar";
 
 export default function HospitalCard({
   details,
-  availableSlots,
   handleBooking,
   booking = false,
+  status,
+  handleCancel,
+  handleNoShow,
+  handleViewSlip,
 }) {
   const [showCalendar, setShowCalendar] = useState(false);
   return (
@@ -36,7 +44,12 @@ export default function HospitalCard({
             textTransform="capitalize"
             lineHeight={1}
           >
-            {details["Hospital Name"].toLowerCase()}
+            <Link
+              to={hospitalPath(details)}
+              style={{ color: "inherit", textDecoration: "none" }}
+            >
+              {details["Hospital Name"].toLowerCase()}
+            </Link>
           </Typography>
           <Typography
             textTransform="capitalize"
@@ -46,6 +59,18 @@ export default function HospitalCard({
           >
             {`${details["City"].toLowerCase()}, ${details["State"]}`}
           </Typography>
+          {details.doctor && (
+            <Typography fontSize={14} color="#414146">
+              {"With "}
+              <Link
+                to={doctorPath(details.doctor)}
+                style={{ color: "inherit", fontWeight: 600 }}
+              >
+                {details.doctor.name}
+              </Link>
+              {` · ${details.doctor.specialization}`}
+            </Typography>
+          )}
           <Typography fontSize={14} mb={1}>
             {details["Hospital Type"]}
           </Typography>
@@ -122,36 +147,80 @@ export default function HospitalCard({
           )}
 
           {booking && (
-            <Stack direction="row" spacing={1} mt={{ xs: 2, md: 0 }}>
-              <Chip
-                label={details.bookingTime}
-                variant="outlined"
-                color="primary"
-                sx={{
-                  borderRadius: 1,
-                  fontSize: 14,
-                }}
-              />
-              <Chip
-                label={format(new Date(details.bookingDate), "dd MMMM yyyy")}
-                variant="outlined"
-                color="success"
-                sx={{
-                  borderRadius: 1,
-                  fontSize: 14,
-                }}
-              />
-            </Stack>
+            <>
+              <Stack direction="row" spacing={1} mt={{ xs: 2, md: 0 }}>
+                <Chip
+                  label={details.bookingTime}
+                  variant="outlined"
+                  color="primary"
+                  sx={{
+                    borderRadius: 1,
+                    fontSize: 14,
+                  }}
+                />
+                <Chip
+                  label={format(new Date(details.bookingDate), "dd MMMM yyyy")}
+                  variant="outlined"
+                  color="success"
+                  sx={{
+                    borderRadius: 1,
+                    fontSize: 14,
+                  }}
+                />
+                {status && (
+                  <Chip
+                    label={status}
+                    size="small"
+                    sx={{ borderRadius: 1, alignSelf: "center" }}
+                  />
+                )}
+              </Stack>
+              <BookingPatientInfo booking={details} />
+              {handleCancel && (
+                <Stack direction="row" flexWrap="wrap" gap={1} mt={2}>
+                  <Button
+                    variant="contained"
+                    disableElevation
+                    onClick={() => setShowCalendar((prev) => !prev)}
+                  >
+                    {!showCalendar ? "Reschedule" : "Hide Calendar"}
+                  </Button>
+                  <Button
+                    variant="outlined"
+                    color="error"
+                    onClick={() => handleCancel(details)}
+                  >
+                    Cancel Booking
+                  </Button>
+                  <AddToCalendar booking={details} />
+                  {handleViewSlip && (
+                    <Button
+                      variant="outlined"
+                      onClick={() => handleViewSlip(details)}
+                    >
+                      Appointment Slip
+                    </Button>
+                  )}
+                </Stack>
+              )}
+              {handleNoShow && (
+                <Button
+                  variant="text"
+                  color="inherit"
+                  size="small"
+                  sx={{ mt: 1, alignSelf: "flex-start" }}
+                  onClick={() => handleNoShow(details)}
+                >
+                  I didn't attend this appointment
+                </Button>
+              )}
+            </>
           )}
         </Stack>
       </Stack>
 
       {showCalendar && (
-        <Calendar
-          details={details}
-          availableSlots={availableSlots}
-          handleBooking={handleBooking}
-        />
+        <Calendar details={details} handleBooking={handleBooking} />
       )}
     </Box>
   );
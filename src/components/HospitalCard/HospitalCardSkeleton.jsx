@@ -0,0 +1,26 @@
+import { Box, Divider, Skeleton, Stack } from "@mui/material";
+
+export default function HospitalCardSkeleton() {
+  return (
+    <Box sx={{ borderRadius: 2, bgcolor: "#fff", p: { xs: 2, md: 4 } }}>
+      <Stack direction={{ xs: "column", md: "row" }} spacing={{ xs: 1, md: 4 }}>
+        <Skeleton
+          variant="circular"
+          sx={{ width: { xs: 64, md: 130 }, height: { xs: 64, md: 130 } }}
+        />
+        <Box flex={1}>
+          <Skeleton variant="text" width="60%" height={32} />
+          <Skeleton variant="text" width="35%" />
+          <Skeleton variant="text" width="25%" sx={{ mb: 1 }} />
+          <Skeleton variant="text" width="45%" sx={{ mb: 2 }} />
+          <Divider sx={{ borderStyle: "dashed", mb: 2 }} />
+          <Skeleton variant="rounded" width={56} height={28} />
+        </Box>
+        <Stack justifyContent="flex-end" minWidth="23%">
+          <Skeleton variant="text" width="60%" sx={{ mx: "auto" }} />
+          <Skeleton variant="rounded" height={40} />
+        </Stack>
+      </Stack>
+    </Box>
+  );
+}
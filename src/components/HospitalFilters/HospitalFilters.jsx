@@ -0,0 +1,153 @@
+import {
+  Box,
+  Button,
+  Checkbox,
+  Divider,
+  FormControlLabel,
+  FormGroup,
+  MenuItem,
+  Radio,
+  RadioGroup,
+  Stack,
+  TextField,
+  Typography,
+} from "@mui/material";
+import {
+  SORT_OPTIONS,
+  getHospitalTypes,
+  hasEmergencyData,
+} from "../../utils/hospitals";
+import { SPECIALIZATIONS } from "../../utils/specializations";
+
+const RATING_OPTIONS = [
+  { value: 0, label: "Any rating" },
+  { value: 2, label: "2 & above" },
+  { value: 3, label: "3 & above" },
+  { value: 4, label: "4 & above" },
+  { value: 5, label: "5 only" },
+];
+
+export default function HospitalFilters({ hospitals, filters, onChange }) {
+  const types = getHospitalTypes(hospitals);
+
+  const toggleType = (type) => {
+    onChange({
+      types: filters.types.includes(type)
+        ? filters.types.filter((t) => t !== type)
+        : [...filters.types, type],
+    });
+  };
+
+  const clearFilters = () =>
+    onChange({
+      types: [],
+      minRating: 0,
+      emergency: false,
+      sort: "",
+      specialization: "",
+    });
+
+  return (
+    <Box
+      bgcolor="#fff"
+      p={3}
+      borderRadius={2}
+      width={{ xs: 1, md: 360 }}
+      flexShrink={0}
+      boxSizing="border-box"
+    >
+      <Stack direction="row" justifyContent="space-between" mb={2}>
+        <Typography fontSize={20} fontWeight={600}>
+          Filters
+        </Typography>
+        <Button size="small" onClick={clearFilters}>
+          Clear all
+        </Button>
+      </Stack>
+
+      <TextField
+        select
+        fullWidth
+        label="Sort by"
+        value={filters.sort}
+        onChange={(e) => onChange({ sort: e.target.value })}
+      >
+        {SORT_OPTIONS.map((option) => (
+          <MenuItem key={option.value} value={option.value}>
+            {option.label}
+          </MenuItem>
+        ))}
+      </TextField>
+
+      <TextField
+        select
+        fullWidth
+        label="Specialization"
+        value={filters.specialization}
+        onChange={(e) => onChange({ specialization: e.target.value })}
+        sx={{ mt: 2 }}
+      >
+        <MenuItem value="">Any specialization</MenuItem>
+        {SPECIALIZATIONS.map((specialization) => (
+          <MenuItem key={specialization.slug} value={specialization.slug}>
+            {specialization.title}
+          </MenuItem>
+        ))}
+      </TextField>
+
+      <Divider sx={{ my: 2 }} />
+
+      <Typography fontWeight={600} mb={1}>
+        Hospital Type
+      </Typography>
+      <FormGroup>
+        {types.map((type) => (
+          <FormControlLabel
+            key={type}
+            label={type}
+            control={
+              <Checkbox
+                checked={filters.types.includes(type)}
+                onChange={() => toggleType(type)}
+              />
+            }
+          />
+        ))}
+      </FormGroup>
+
+      <Divider sx={{ my: 2 }} />
+
+      <Typography fontWeight={600} mb={1}>
+        Hospital overall rating
+      </Typography>
+      <RadioGroup
+        value={filters.minRating}
+        onChange={(e) => onChange({ minRating: Number(e.target.value) })}
+      >
+        {RATING_OPTIONS.map((option) => (
+          <FormControlLabel
+            key={option.value}
+            value={option.value}
+            label={option.label}
+            control={<Radio />}
+          />
+        ))}
+      </RadioGroup>
+
+      {hasEmergencyData(hospitals) && (
+        <>
+          <Divider sx={{ my: 2 }} />
+          <FormControlLabel
+            label="Emergency services available"
+            control={
+              <Checkbox
+                checked={filters.emergency}
+                onChange={(e) => onChange({ emergency: e.target.checked })}
+              />
+            }
+          />
+        </>
+      )}
+    </Box>
+  );
+}
@@ -49,7 +49,7 @@ export default function NavBar() {
             pb={{ xs: 4, md: 1 }}
             px={{ xs: 4, md: 0 }}
           >
-            <Link>Find Doctors</Link>
+            <Link to="/doctors">Find Doctors</Link>
             <Link to="/search">Hospitals</Link>
             <Link>Medicines</Link>
             <Link>Surgeries</Link>
@@ -0,0 +1,51 @@
+import { Box, Stack, Typography } from "@mui/material";
+import { format, formatDuration, intervalToDuration } from "date-fns";
+import { useEffect, useState } from "react";
+import { getAppointmentStart } from "../../utils/slots";
+
+const TICK = 30000;
+
+export default function NextAppointment({ booking }) {
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), TICK);
+    return () => clearInterval(timer);
+  }, []);
+
+  const start = getAppointmentStart(booking);
+  const remaining =
+    start > now
+      ? formatDuration(intervalToDuration({ start: now, end: start }), {
+          format: ["days", "hours", "minutes"],
+        }) || "less than a minute"
+      : "now";
+
+  return (
+    <Stack
+      direction={{ xs: "column", md: "row" }}
+      justifyContent="space-between"
+      alignItems={{ md: "center" }}
+      spacing={1}
+      bgcolor="primary.main"
+      color="#fff"
+      p={3}
+      borderRadius={2}
+    >
+      <Box>
+        <Typography fontSize={14} sx={{ opacity: 0.8 }}>
+          Next appointment
+        </Typography>
+        <Typography fontWeight={600} textTransform="capitalize">
+          {booking["Hospital Name"].toLowerCase()}
+        </Typography>
+        <Typography fontSize={14}>
+          {format(start, "EEEE, d MMMM 'at' hh:mm a")}
+        </Typography>
+      </Box>
+      <Typography fontSize={{ xs: 18, md: 22 }} fontWeight={700}>
+        {remaining === "now" ? "Starting now" : `In ${remaining}`}
+      </Typography>
+    </Stack>
+  );
+}
@@ -0,0 +1,59 @@
+import { Box, Chip, Stack, Typography } from "@mui/material";
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { fetchCities } from "../../api/meddata";
+
+const MAX_SUGGESTIONS = 6;
+
+export default function NoResults({ state, city }) {
+  const [nearbyCities, setNearbyCities] = useState([]);
+
+  useEffect(() => {
+    let ignore = false;
+    fetchCities(state)
+      .then((cities) => {
+        if (!ignore) {
+          setNearbyCities(
+            cities.filter((c) => c !== city).slice(0, MAX_SUGGESTIONS)
+          );
+        }
+      })
+      .catch(() => {});
+    return () => {
+      ignore = true;
+    };
+  }, [state, city]);
+
+  return (
+    <Box bgcolor="#fff" p={3} borderRadius={2}>
+      <Typography variant="h3" mb={1}>
+        No medical centers found in{" "}
+        <span style={{ textTransform: "capitalize" }}>
+          {city.toLowerCase()}
+        </span>
+      </Typography>
+      {nearbyCities.length > 0 && (
+        <>
+          <Typography color="#787887" mb={2}>
+            Try searching in a nearby city instead:
+          </Typography>
+          <Stack direction="row" flexWrap="wrap" gap={1}>
+            {nearbyCities.map((nearby) => (
+              <Chip
+                key={nearby}
+                label={nearby}
+                component={Link}
+                to={`/search?state=${encodeURIComponent(
+                  state
+                )}&city=${encodeURIComponent(nearby)}`}
+                clickable
+                color="primary"
+                variant="outlined"
+              />
+            ))}
+          </Stack>
+        </>
+      )}
+    </Box>
+  );
+}
@@ -0,0 +1,74 @@
+import { useEffect, useState } from "react";
+import useBookings from "../../store/useBookings";
+import { isUpcoming } from "../../store/bookingRepository";
+import {
+  getPendingReminders,
+  getReminderPreferences,
+  isNotificationSupported,
+  markRemindersSent,
+  registerReminderWorker,
+  showReminder,
+} from "../../utils/reminders";
+
+// Wake up at least this often, in case the machine slept past a timer
+const MAX_WAIT = 15 * 60 * 1000;
+
+// Only mounted while reminders are on, so bookings aren't loaded otherwise
+function DueReminders({ offsets }) {
+  const { bookings } = useBookings();
+  const [tick, setTick] = useState(0);
+
+  useEffect(() => {
+    registerReminderWorker().catch(() => {});
+
+    const now = new Date();
+    const pending = getPendingReminders(
+      bookings.filter((booking) => isUpcoming(booking, now)),
+      offsets,
+      now
+    );
+    const due = pending.filter(({ at }) => at <= now);
+    // Only the latest due reminder per booking; earlier ones were missed
+    const latest = new Map(
+      due.map((reminder) => [reminder.booking.bookingId, reminder])
+    );
+    latest.forEach((reminder) => showReminder(reminder).catch(() => {}));
+    if (due.length > 0)
+      markRemindersSent(
+        due.map(({ id }) => id),
+        now
+      );
+
+    const next = pending.find(({ at }) => at > now);
+    const wait = next ? Math.min(next.at - now, MAX_WAIT) : MAX_WAIT;
+    const timer = setTimeout(() => setTick((n) => n + 1), wait);
+    return () => clearTimeout(timer);
+  }, [bookings, offsets, tick]);
+
+  return null;
+}
+
+/**
+ * Shows due booking reminders while any Medify tab is open, including in the
+ * background. Renders nothing.
+ */
+export default function ReminderScheduler() {
+  const [preferences, setPreferences] = useState(getReminderPreferences);
+
+  useEffect(() => {
+    const refresh = () => setPreferences(getReminderPreferences());
+    window.addEventListener("reminderpreferences", refresh);
+    window.addEventListener("storage", refresh);
+    return () => {
+      window.removeEventListener("reminderpreferences", refresh);
+      window.removeEventListener("storage", refresh);
+    };
+  }, []);
+
+  const canNotify =
+    preferences.enabled &&
+    isNotificationSupported() &&
+    Notification.permission === "granted";
+
+  return canNotify ? <DueReminders offsets={preferences.offsets} /> : null;
+}
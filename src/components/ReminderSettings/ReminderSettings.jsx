@@ -0,0 +1,99 @@
+import {
+  Box,
+  Checkbox,
+  FormControlLabel,
+  FormGroup,
+  Switch,
+  Typography,
+} from "@mui/material";
+import { useState } from "react";
+import {
+  REMINDER_OPTIONS,
+  getReminderPreferences,
+  isNotificationSupported,
+  registerReminderWorker,
+  saveReminderPreferences,
+} from "../../utils/reminders";
+
+const getPermission = () =>
+  isNotificationSupported() ? Notification.permission : "unsupported";
+
+export default function ReminderSettings() {
+  const [preferences, setPreferences] = useState(getReminderPreferences);
+  const [permission, setPermission] = useState(getPermission);
+
+  const update = (changes) => {
+    const next = { ...preferences, ...changes };
+    setPreferences(next);
+    saveReminderPreferences(next);
+  };
+
+  const handleToggle = async (e) => {
+    const enabled = e.target.checked;
+    if (enabled && permission === "default") {
+      const result = await Notification.requestPermission();
+      setPermission(result);
+      if (result !== "granted") return;
+    }
+    if (enabled) registerReminderWorker().catch(() => {});
+    update({ enabled });
+  };
+
+  const toggleOffset = (value) => {
+    const offsets = preferences.offsets.includes(value)
+      ? preferences.offsets.filter((offset) => offset !== value)
+      : [...preferences.offsets, value];
+    update({ offsets });
+  };
+
+  const blocked = permission === "denied" || permission === "unsupported";
+  const enabled = preferences.enabled && permission === "granted";
+
+  return (
+    <Box bgcolor="#fff" p={3} borderRadius={2} width={1}>
+      <FormControlLabel
+        control={
+          <Switch
+            checked={enabled}
+            onChange={handleToggle}
+            disabled={blocked}
+          />
+        }
+        label={<Typography fontWeight={600}>Appointment reminders</Typography>}
+      />
+      {permission === "unsupported" && (
+        <Typography fontSize={14} color="#787887">
+          This browser can't show notifications.
+        </Typography>
+      )}
+      {permission === "denied" && (
+        <Typography fontSize={14} color="#787887">
+          Notifications are blocked for this site. Allow them in your browser
+          settings to get reminders.
+        </Typography>
+      )}
+      {!blocked && (
+        <Typography fontSize={14} color="#787887">
+          We'll notify you while Medify is open in a tab, even in the
+          background.
+        </Typography>
+      )}
+      <FormGroup sx={{ mt: 1 }}>
+        {REMINDER_OPTIONS.map(({ value, label }) => (
+          <FormControlLabel
+            key={value}
+            control={
+              <Checkbox
+                size="small"
+                checked={preferences.offsets.includes(value)}
+                onChange={() => toggleOffset(value)}
+                disabled={!enabled}
+              />
+            }
+            label={<Typography fontSize={14}>{label}</Typography>}
+          />
+        ))}
+      </FormGroup>
+    </Box>
+  );
+}
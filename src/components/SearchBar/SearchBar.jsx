@@ -1,46 +1,97 @@
-import { Stack, TextField, Button } from "@mui/material";
-import { useState, useMemo } from "react";
+import { Stack, TextField, Button, MenuItem } from "@mui/material";
+import { useEffect, useState } from "react";
+import { useDebouncedCallback } from "use-debounce";
 import SearchIcon from "@mui/icons-material/Search";
+import { STATUS_LABELS } from "../../store/bookingRepository";
 
-export default function SearchBar({ list, filterList }) {
-  const [inputText, setInputText] = useState("");
+const SEARCH_DELAY = 300;
 
-  const filteredList = useMemo(() => {
-    if (!inputText.trim()) return list;
-    return list.filter((item) =>
-      item["Hospital Name"]
-        .toLowerCase()
-        .includes(inputText.trim().toLowerCase())
-    );
-  }, [inputText, list]);
+export default function SearchBar({ filters, onChange }) {
+  const [inputText, setInputText] = useState(filters.query);
+
+  const updateQuery = useDebouncedCallback(
+    (query) => onChange({ query }),
+    SEARCH_DELAY
+  );
+
+  // Keep the box in step when the URL changes (back button, clear filters)
+  useEffect(() => {
+    if (!updateQuery.isPending()) setInputText(filters.query);
+  }, [filters.query, updateQuery]);
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    filterList(filteredList);
+    updateQuery.flush();
+  };
+
+  const handleTextChange = (e) => {
+    setInputText(e.target.value);
+    updateQuery(e.target.value);
+  };
+
+  const handleFilterChange = (key) => (e) => {
+    onChange({ [key]: e.target.value });
   };
 
   return (
     <form onSubmit={handleSubmit}>
-      <Stack direction="row" spacing={2}>
-        <TextField
-          type="text"
-          label="Search By Hospital"
-          variant="outlined"
-          fullWidth
-          value={inputText}
-          onChange={(e) => setInputText(e.target.value)}
-          inputProps={{ maxLength: 100 }} 
-        />
-        <Button
-          type="submit"
-          variant="contained"
-          size="large"
-          startIcon={<SearchIcon />}
-          sx={{ py: "15px", px: 8, flexShrink: 0 }}
-          disableElevation
-        >
-          Search
-        </Button>
+      <Stack spacing={2}>
+        <Stack direction="row" spacing={2}>
+          <TextField
+            type="search"
+            label="Search by hospital, city, state, email or booking ID"
+            variant="outlined"
+            fullWidth
+            value={inputText}
+            onChange={handleTextChange}
+            inputProps={{ maxLength: 100 }}
+          />
+          <Button
+            type="submit"
+            variant="contained"
+            size="large"
+            startIcon={<SearchIcon />}
+            sx={{ py: "15px", px: 8, flexShrink: 0 }}
+            disableElevation
+          >
+            Search
+          </Button>
+        </Stack>
+        <Stack direction={{ xs: "column", sm: "row" }} spacing={2}>
+          <TextField
+            type="date"
+            label="From"
+            size="small"
+            value={filters.from}
+            onChange={handleFilterChange("from")}
+            InputLabelProps={{ shrink: true }}
+            inputProps={{ max: filters.to || undefined }}
+          />
+          <TextField
+            type="date"
+            label="To"
+            size="small"
+            value={filters.to}
+            onChange={handleFilterChange("to")}
+            InputLabelProps={{ shrink: true }}
+            inputProps={{ min: filters.from || undefined }}
+          />
+          <TextField
+            select
+            label="Status"
+            size="small"
+            value={filters.status}
+            onChange={handleFilterChange("status")}
+            sx={{ minWidth: 180 }}
+          >
+            <MenuItem value="">All statuses</MenuItem>
+            {Object.entries(STATUS_LABELS).map(([value, label]) => (
+              <MenuItem key={value} value={value}>
+                {label}
+              </MenuItem>
+            ))}
+          </TextField>
+        </Stack>
       </Stack>
     </form>
   );
@@ -0,0 +1,60 @@
+import { Autocomplete, Box, InputAdornment, TextField } from "@mui/material";
+import SearchIcon from "@mui/icons-material/Search";
+import { fuzzyFilter, fuzzyMatch } from "../../utils/fuzzy";
+
+function HighlightedOption({ text, query }) {
+  const matched = new Set(fuzzyMatch(text, query)?.indices);
+  return Array.from(text, (char, i) =>
+    matched.has(i) ? (
+      <Box component="span" key={i} fontWeight={700} color="primary.main">
+        {char}
+      </Box>
+    ) : (
+      char
+    )
+  );
+}
+
+export default function LocationAutocomplete({
+  id,
+  placeholder,
+  options,
+  value,
+  onChange,
+  disabled = false,
+}) {
+  return (
+    <Autocomplete
+      id={id}
+      options={options}
+      value={value || null}
+      onChange={(e, newValue) => onChange(newValue || "")}
+      filterOptions={(opts, { inputValue }) => fuzzyFilter(opts, inputValue)}
+      disabled={disabled}
+      autoHighlight
+      fullWidth
+      sx={{ minWidth: 200 }}
+      renderOption={(props, option, { inputValue }) => (
+        <li {...props} key={option}>
+          <HighlightedOption text={option} query={inputValue} />
+        </li>
+      )}
+      renderInput={(params) => (
+        <TextField
+          {...params}
+          name={id}
+          placeholder={placeholder}
+          required
+          InputProps={{
+            ...params.InputProps,
+            startAdornment: (
+              <InputAdornment position="start">
+                <SearchIcon />
+              </InputAdornment>
+            ),
+          }}
+        />
+      )}
+    />
+  );
+}
@@ -1,130 +1,172 @@
-import { MenuItem, Select, Button, InputAdornment, Box } from "@mui/material";
+import { Button, Box, Chip, Stack, Typography } from "@mui/material";
 import { useEffect, useState } from "react";
-import axios from "axios";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useSearchParams } from "react-router-dom";
 import SearchIcon from "@mui/icons-material/Search";
+import { fetchCities, fetchStates } from "../../api/meddata";
+import { isCancelled } from "../../api/client";
+import FetchError from "../FetchError/FetchError";
+import LocationAutocomplete from "./LocationAutocomplete";
+import { addRecentSearch, getRecentSearches } from "../../utils/recentSearches";
+import { searchPath } from "../../utils/hospitals";
 
 export default function SearchHospital() {
   const [states, setStates] = useState([]);
   const [cities, setCities] = useState([]);
-  const [formData, setFormData] = useState({ state: "", city: "" });
+  const [searchParams] = useSearchParams();
+  const urlState = searchParams.get("state") || "";
+  const urlCity = searchParams.get("city") || "";
+  const [formData, setFormData] = useState({ state: urlState, city: urlCity });
+  const [statesError, setStatesError] = useState(false);
+  const [citiesError, setCitiesError] = useState(false);
+  const [statesRetry, setStatesRetry] = useState(0);
+  const [citiesRetry, setCitiesRetry] = useState(0);
+  const [recentSearches, setRecentSearches] = useState(getRecentSearches);
   const navigate = useNavigate();
 
+  // Keep the form in step with the search being shown, including back/forward
   useEffect(() => {
-    const fetchStates = async () => {
+    setFormData({ state: urlState, city: urlCity });
+  }, [urlState, urlCity]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const getStates = async () => {
+      setStatesError(false);
       try {
-        const response = await axios.get(
-          "https://meddata-backend.onrender.com/states"
+        setStates(
+          await fetchStates({
+            signal: controller.signal,
+            onRevalidate: (fresh) =>
+              !controller.signal.aborted && setStates(fresh),
+          })
         );
-        setStates(response.data);
       } catch (error) {
-        console.error("Error fetching states:", error);
+        if (isCancelled(error)) return;
+        setStatesError(true);
       }
     };
 
-    fetchStates();
-  }, []);
+    getStates();
+    return () => controller.abort();
+  }, [statesRetry]);
 
   useEffect(() => {
-    const fetchCities = async () => {
+    const controller = new AbortController();
+    const getCities = async () => {
       setCities([]);
-      setFormData((prev) => ({ ...prev, city: "" }));
+      setCitiesError(false);
       try {
-        const data = await axios.get(
-          `https://meddata-backend.onrender.com/cities/${formData.state}`
+        setCities(
+          await fetchCities(formData.state, {
+            signal: controller.signal,
+            onRevalidate: (fresh) =>
+              !controller.signal.aborted && setCities(fresh),
+          })
         );
-        setCities(data.data);
       } catch (error) {
-        console.log("Error in fetching city:", error);
+        if (isCancelled(error)) return;
+        setCitiesError(true);
       }
     };
 
     if (formData.state !== "") {
-      fetchCities();
+      getCities();
     }
-  }, [formData.state]);
+    return () => controller.abort();
+  }, [formData.state, citiesRetry]);
 
-  const handleChange = (e) => {
-    const { name, value } = e.target;
-    setFormData((prev) => ({ ...prev, [name]: value }));
+  // A specialization picked before the location carries over to the results
+  const search = ({ state, city }) => {
+    setRecentSearches(addRecentSearch({ state, city }));
+    navigate(
+      searchPath({
+        state,
+        city,
+        specialization: searchParams.get("specialization"),
+      })
+    );
   };
 
   const handleSubmit = (e) => {
     e.preventDefault();
     if (formData.state && formData.city) {
-      navigate(`/search?state=${formData.state}&city=${formData.city}`);
+      search(formData);
     }
   };
 
   return (
-    <Box
-      component="form"
-      onSubmit={handleSubmit}
-      sx={{
-        display: "flex",
-        gap: 4,
-        justifyContent: "space-between",
-        flexDirection: { xs: "column", md: "row" },
-      }}
-    >
-      <Select
-        displayEmpty
-        id="state"
-        name="state"
-        value={formData.state}
-        onChange={handleChange}
-        startAdornment={
-          <InputAdornment position="start">
-            <SearchIcon />
-          </InputAdornment>
-        }
-        required
-        sx={{ minWidth: 200, width: "100%" }}
+    <Stack spacing={2}>
+      <Box
+        component="form"
+        onSubmit={handleSubmit}
+        sx={{
+          display: "flex",
+          gap: 4,
+          justifyContent: "space-between",
+          flexDirection: { xs: "column", md: "row" },
+        }}
       >
-        <MenuItem disabled value="" selected>
-          State
-        </MenuItem>
-        {states.map((state) => (
-          <MenuItem key={state} value={state}>
-            {state}
-          </MenuItem>
-        ))}
-      </Select>
+        <LocationAutocomplete
+          id="state"
+          placeholder="State"
+          options={states}
+          value={formData.state}
+          onChange={(state) => setFormData({ state, city: "" })}
+        />
 
-      <Select
-        displayEmpty
-        id="city"
-        name="city"
-        value={formData.city}
-        onChange={handleChange}
-        startAdornment={
-          <InputAdornment position="start">
-            <SearchIcon />
-          </InputAdornment>
-        }
-        required
-        sx={{ minWidth: 200, width: "100%" }}
-      >
-        <MenuItem disabled value="" selected>
-          City
-        </MenuItem>
-        {cities.map((city) => (
-          <MenuItem key={city} value={city}>
-            {city}
-          </MenuItem>
-        ))}
-      </Select>
+        <LocationAutocomplete
+          id="city"
+          placeholder="City"
+          options={cities}
+          value={formData.city}
+          onChange={(city) => setFormData((prev) => ({ ...prev, city }))}
+          disabled={!formData.state}
+        />
 
-      <Button
-        type="submit"
-        variant="contained"
-        size="large"
-        startIcon={<SearchIcon />}
-        sx={{ py: "15px", px: 8, flexShrink: 0 }}
-        disableElevation
-      >
-        Search
-      </Button>
-    </Box>
+        <Button
+          type="submit"
+          variant="contained"
+          size="large"
+          startIcon={<SearchIcon />}
+          sx={{ py: "15px", px: 8, flexShrink: 0 }}
+          disableElevation
+        >
+          Search
+        </Button>
+      </Box>
+
+      {recentSearches.length > 0 && (
+        <Stack direction="row" alignItems="center" flexWrap="wrap" gap={1}>
+          <Typography fontSize={14} color="#787887">
+            Recent searches:
+          </Typography>
+          {recentSearches.map((recent) => (
+            <Chip
+              key={`${recent.state}|${recent.city}`}
+              label={`${recent.city.toLowerCase()}, ${recent.state}`}
+              onClick={() => search(recent)}
+              variant="outlined"
+              color="primary"
+              size="small"
+              sx={{ textTransform: "capitalize" }}
+            />
+          ))}
+        </Stack>
+      )}
+
+      {statesError && (
+        <FetchError
+          message="We couldn't load the list of states."
+          onRetry={() => setStatesRetry((prev) => prev + 1)}
+        />
+      )}
+
+      {citiesError && (
+        <FetchError
+          message={`We couldn't load the cities in ${formData.state}.`}
+          onRetry={() => setCitiesRetry((prev) => prev + 1)}
+        />
+      )}
+    </Stack>
   );
 }
@@ -1,8 +1,9 @@
 import { Box, Typography } from "@mui/material";
+import { Link } from "react-router-dom";
 
-export default function SpecialistCard({ img, title, designation }) {
+export default function SpecialistCard({ img, title, designation, to }) {
     return (
-        <Box textAlign='center'>
+        <Box textAlign='center' component={Link} to={to} display='block' sx={{ textDecoration: 'none' }}>
             <Box
                 component='img'
                 src={img}
@@ -3,26 +3,12 @@ import { Swiper, SwiperSlide } from "swiper/react";
 import SpecialistCard from './SpecialistCard'
 import { Autoplay, Pagination } from 'swiper/modules';
 import 'swiper/css';
-import img1 from '../../../assets/lesley.png'
-import img2 from '../../../assets/ahmad.png'
-import img5 from '../../../assets/ahmad-stevens.png'
-import img3 from '../../../assets/heena.png'
-import img4 from '../../../assets/ankur.png'
+import { DOCTORS, doctorPath, getSpecializationTitle } from '../../../utils/doctors'
 
-export default function Specialists() {
+// Loop mode needs more slides than fit on screen, so a short list is shown twice
+const slides = DOCTORS.length < 8 ? [...DOCTORS, ...DOCTORS] : DOCTORS
 
-    const specialist_data = [
-        { img: img1, title: 'Dr. Lesley Hull', designation: 'Medicine' },
-        { img: img2, title: 'Dr. Ahmad Khan', designation: 'Neurologist' },
-        { img: img3, title: 'Dr. Heena Sachdeva', designation: 'Orthopadics' },
-        { img: img4, title: 'Dr. Ankur Sharma', designation: 'Medicine' },
-        { img: img5, title: 'Dr. Ahmad Stevens', designation: 'Neurologist' },
-        { img: img1, title: 'Dr. Lesley Hull', designation: 'Medicine' },
-        { img: img2, title: 'Dr. Ahmad Khan', designation: 'Neurologist' },
-        { img: img3, title: 'Dr. Heena Sachdeva', designation: 'Orthopadics' },
-        { img: img4, title: 'Dr. Ankur Sharma', designation: 'Medicine' },
-        { img: img5, title: 'Dr. Ahmad Stevens', designation: 'Neurologist' }
-    ]
+export default function Specialists() {
 
     return (
         <Box py={4} id="find-doctors">
@@ -50,12 +36,13 @@ export default function Specialists() {
                     }
                 }
             >
-                {specialist_data.map((doc, index) => (
-                    <SwiperSlide key={index}>
+                {slides.map((doctor, index) => (
+                    <SwiperSlide key={`${doctor.id}-${index}`}>
                         <SpecialistCard
-                            img={doc.img}
-                            title={doc.title}
-                            designation={doc.designation} />
+                            img={doctor.img}
+                            title={doctor.name}
+                            designation={getSpecializationTitle(doctor)}
+                            to={doctorPath(doctor)} />
                     </SwiperSlide>
                 ))}
             </Swiper>
@@ -0,0 +1,26 @@
+import { Box } from "@mui/material";
+import { Link } from "react-router-dom";
+import IconCard from "../IconCard/IconCard";
+import { searchPath } from "../../utils/hospitals";
+import { getRecentSearches } from "../../utils/recentSearches";
+
+// Searches around the last place looked at; without one, the search page
+// asks for a location and keeps the specialization
+export default function SpecializationTile({ specialization }) {
+  const [lastSearch] = getRecentSearches();
+  return (
+    <Box
+      component={Link}
+      to={searchPath({ ...lastSearch, specialization: specialization.slug })}
+      display="block"
+      sx={{ textDecoration: "none" }}
+    >
+      <IconCard
+        img={specialization.icon}
+        title={specialization.title}
+        bgColor="#FFFFFF"
+        shadow={true}
+      />
+    </Box>
+  );
+}
@@ -7,6 +7,10 @@ import { createBrowserRouter, RouterProvider } from "react-router-dom";
 import Home from "./Home/Home";
 import { createTheme, ThemeProvider } from "@mui/material";
 import MyBookings from "./MyBookings/MyBookings";
+import HospitalDetails from "./HospitalDetails/HospitalDetails";
+import Doctors from "./Doctors/Doctors";
+import DoctorProfile from "./DoctorProfile/DoctorProfile";
+import Specializations from "./Specializations/Specializations";
 
 const router = createBrowserRouter([
   {
@@ -21,6 +25,22 @@ const router = createBrowserRouter([
         path: "my-bookings",
         element: <MyBookings />,
       },
+      {
+        path: "hospital/:id",
+        element: <HospitalDetails />,
+      },
+      {
+        path: "doctors",
+        element: <Doctors />,
+      },
+      {
+        path: "doctors/:id",
+        element: <DoctorProfile />,
+      },
+      {
+        path: "specializations",
+        element: <Specializations />,
+      },
       {
         path: "/",
         element: <Home />,
@@ -0,0 +1,171 @@
+import { isValid } from "date-fns";
+import { STATUS, assertSlotFree, generateBookingId } from "../bookingUtils";
+
+const STORAGE_KEY = "bookings";
+export const SCHEMA_VERSION = 2;
+
+const isValidBooking = (booking) =>
+  booking !== null &&
+  typeof booking === "object" &&
+  typeof booking["Hospital Name"] === "string" &&
+  typeof booking.bookingTime === "string" &&
+  isValid(new Date(booking.bookingDate));
+
+// Each migration takes the records of one version to the next
+const MIGRATIONS = {
+  // v1 was a bare array without IDs or status; IDs are filled in after
+  1: (bookings) =>
+    bookings.map((booking) => ({
+      ...booking,
+      status: booking.status || STATUS.CONFIRMED,
+      bookingDate: new Date(booking.bookingDate).toISOString(),
+    })),
+};
+
+const EMPTY_SLOT = {
+  bookingStart: undefined,
+  bookingEnd: undefined,
+  slotCapacity: undefined,
+};
+
+const newBookingId = (bookings) => {
+  const taken = new Set(bookings.map((booking) => booking.bookingId));
+  let bookingId = generateBookingId();
+  while (taken.has(bookingId)) bookingId = generateBookingId();
+  return bookingId;
+};
+
+// Gives records without an ID, or sharing one (two tabs writing at once), their own
+const withUniqueIds = (bookings) => {
+  const seen = new Set();
+  return bookings.map((booking) => {
+    const bookingId =
+      booking.bookingId && !seen.has(booking.bookingId)
+        ? booking.bookingId
+        : newBookingId(bookings);
+    seen.add(bookingId);
+    return bookingId === booking.bookingId
+      ? booking
+      : { ...booking, bookingId };
+  });
+};
+
+const backupCorruptData = (raw) => {
+  const backupKey = `${STORAGE_KEY}.corrupt.${Date.now()}`;
+  try {
+    localStorage.setItem(backupKey, raw);
+    console.warn(`Unreadable bookings data was copied to "${backupKey}".`);
+  } catch (err) {
+    // Nowhere left to keep it
+  }
+};
+
+const persist = (bookings) =>
+  localStorage.setItem(
+    STORAGE_KEY,
+    JSON.stringify({ version: SCHEMA_VERSION, bookings })
+  );
+
+function read() {
+  const raw = localStorage.getItem(STORAGE_KEY);
+  if (!raw) return [];
+
+  let stored;
+  try {
+    stored = JSON.parse(raw);
+  } catch (err) {
+    backupCorruptData(raw);
+    persist([]);
+    return [];
+  }
+
+  let version = Array.isArray(stored) ? 1 : stored?.version;
+  const bookings = Array.isArray(stored) ? stored : stored?.bookings;
+  if (!Array.isArray(bookings) || !(version >= 1)) {
+    backupCorruptData(raw);
+    persist([]);
+    return [];
+  }
+
+  const valid = bookings.filter(isValidBooking);
+  // Written by a newer version of the app, leave it untouched
+  if (version > SCHEMA_VERSION) return valid;
+
+  const changed = valid.length !== bookings.length || version < SCHEMA_VERSION;
+  if (valid.length !== bookings.length) backupCorruptData(raw);
+
+  let migrated = valid;
+  while (version < SCHEMA_VERSION) {
+    migrated = MIGRATIONS[version](migrated);
+    version++;
+  }
+  const unique = withUniqueIds(migrated);
+  if (changed || unique.some((booking, i) => booking !== migrated[i])) {
+    persist(unique);
+  }
+  return unique;
+}
+
+const update = (bookingId, changes) => {
+  const bookings = read();
+  const booking = bookings.find((b) => b.bookingId === bookingId);
+  if (!booking) throw new Error("This booking no longer exists.");
+  const updated = { ...booking, ...changes };
+  persist(bookings.map((b) => (b.bookingId === bookingId ? updated : b)));
+  return updated;
+};
+
+const localStorageAdapter = {
+  list: async () => read(),
+
+  create: async (details) => {
+    const bookings = read();
+    assertSlotFree(bookings, details);
+    const booking = {
+      ...details,
+      bookingId: newBookingId(bookings),
+      status: STATUS.CONFIRMED,
+      bookingDate: new Date(details.bookingDate).toISOString(),
+      createdAt: new Date().toISOString(),
+    };
+    persist([...bookings, booking]);
+    return booking;
+  },
+
+  cancel: async (bookingId) =>
+    update(bookingId, {
+      status: STATUS.CANCELLED,
+      cancelledAt: new Date().toISOString(),
+    }),
+
+  markNoShow: async (bookingId) =>
+    update(bookingId, { status: STATUS.NO_SHOW }),
+
+  reschedule: async (bookingId, slot) => {
+    const bookings = read();
+    const booking = bookings.find((b) => b.bookingId === bookingId);
+    if (!booking) throw new Error("This booking no longer exists.");
+    // Nothing of the old slot's timing may outlive the move
+    const changes = {
+      ...EMPTY_SLOT,
+      ...slot,
+      bookingDate: new Date(slot.bookingDate).toISOString(),
+    };
+    assertSlotFree(
+      bookings.filter((b) => b.bookingId !== bookingId),
+      { ...booking, ...changes }
+    );
+    return update(bookingId, changes);
+  },
+
+  // Other tabs writing to the same storage
+  watch: (onChange) => {
+    const onStorage = (e) => {
+      if (e.key === STORAGE_KEY || e.key === null) onChange();
+    };
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+  },
+};
+
+export default localStorageAdapter;
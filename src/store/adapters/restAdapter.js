@@ -0,0 +1,58 @@
+import axios from "axios";
+
+const POLL_INTERVAL = 30000;
+
+const toError = (err) => {
+  const message = err.response?.data?.message;
+  return message ? new Error(message) : err;
+};
+
+/**
+ * Talks to a bookings service exposing:
+ *   GET  /bookings
+ *   POST /bookings
+ *   POST /bookings/:id/cancel
+ *   POST /bookings/:id/no-show
+ *   POST /bookings/:id/reschedule  { bookingDate, bookingTime, bookingStart, ... }
+ */
+export default function createRestAdapter(baseURL) {
+  const client = axios.create({ baseURL, timeout: 15000 });
+  const request = (promise) =>
+    promise
+      .then((response) => response.data)
+      .catch((err) => {
+        throw toError(err);
+      });
+
+  return {
+    list: () => request(client.get("/bookings")),
+
+    create: (booking) => request(client.post("/bookings", booking)),
+
+    cancel: (bookingId) =>
+      request(client.post(`/bookings/${encodeURIComponent(bookingId)}/cancel`)),
+
+    markNoShow: (bookingId) =>
+      request(
+        client.post(`/bookings/${encodeURIComponent(bookingId)}/no-show`)
+      ),
+
+    reschedule: (bookingId, slot) =>
+      request(
+        client.post(`/bookings/${encodeURIComponent(bookingId)}/reschedule`, {
+          ...slot,
+          bookingDate: new Date(slot.bookingDate).toISOString(),
+        })
+      ),
+
+    // Changes made elsewhere (other devices, clinic staff) show up on refresh
+    watch: (onChange) => {
+      const timer = setInterval(onChange, POLL_INTERVAL);
+      window.addEventListener("focus", onChange);
+      return () => {
+        clearInterval(timer);
+        window.removeEventListener("focus", onChange);
+      };
+    },
+  };
+}
@@ -0,0 +1,74 @@
+/**
+ * @jest-environment node
+ */
+import { createMockServer } from "../../../mock-server/server";
+import createRestAdapter from "./restAdapter";
+
+let server;
+let adapter;
+
+beforeEach((done) => {
+  server = createMockServer();
+  server.listen(0, () => {
+    adapter = createRestAdapter(`http://localhost:${server.address().port}`);
+    done();
+  });
+});
+
+afterEach((done) => {
+  server.close(done);
+});
+
+const details = {
+  "Provider ID": "10001",
+  "Hospital Name": "SOUTHEAST ALABAMA MEDICAL CENTER",
+  bookingDate: new Date(2030, 0, 7).toISOString(),
+  bookingTime: "12:00 PM",
+};
+
+test("creates, lists, reschedules and cancels bookings", async () => {
+  const booking = await adapter.create(details);
+  expect(booking).toMatchObject({
+    status: "confirmed",
+    bookingTime: "12:00 PM",
+  });
+  expect(await adapter.list()).toHaveLength(1);
+
+  const moved = await adapter.reschedule(booking.bookingId, {
+    bookingDate: new Date(2030, 0, 8),
+    bookingTime: "02:00 PM",
+  });
+  expect(moved.bookingTime).toBe("02:00 PM");
+
+  const cancelled = await adapter.cancel(booking.bookingId);
+  expect(cancelled.status).toBe("cancelled");
+});
+
+test("surfaces the server's message when a slot is taken", async () => {
+  await adapter.create(details);
+  await expect(adapter.create(details)).rejects.toThrow(/already booked/);
+});
+
+test("matches a slot whether or not bookings carry its start timestamp", async () => {
+  await adapter.create(details);
+  await expect(
+    adapter.create({
+      ...details,
+      bookingStart: new Date(2030, 0, 7, 12).toISOString(),
+    })
+  ).rejects.toThrow(/already booked/);
+});
+
+test("takes slot capacity from the hospital, not the request", async () => {
+  await expect(
+    adapter.create({ ...details, slotCapacity: 5 })
+  ).resolves.toBeDefined();
+  await expect(adapter.create({ ...details, slotCapacity: 5 })).rejects.toThrow(
+    /already booked/
+  );
+
+  const shared = { ...details, "Provider ID": "10033" };
+  await adapter.create(shared);
+  await adapter.create(shared);
+  await expect(adapter.create(shared)).rejects.toThrow(/already booked/);
+});
@@ -0,0 +1,80 @@
+import localStorageAdapter from "./adapters/localStorageAdapter";
+import createRestAdapter from "./adapters/restAdapter";
+
+export {
+  STATUS,
+  STATUS_LABELS,
+  byAppointmentTime,
+  getBookingStatus,
+  getOpenSlots,
+  isUpcoming,
+} from "./bookingUtils";
+
+const BOOKINGS_API_URL = process.env.REACT_APP_BOOKINGS_API_URL;
+
+// Bookings stay in this browser unless a bookings service is configured
+const adapter = BOOKINGS_API_URL
+  ? createRestAdapter(BOOKINGS_API_URL)
+  : localStorageAdapter;
+let current = [];
+let loading = null;
+let unwatch = null;
+const listeners = new Set();
+
+export const getCachedBookings = () => current;
+
+const publish = (bookings) => {
+  current = bookings;
+  listeners.forEach((listener) => listener(bookings));
+  return bookings;
+};
+
+const load = () =>
+  adapter
+    .list()
+    .then(publish)
+    .finally(() => {
+      loading = null;
+    });
+
+// Concurrent callers share one request
+export const getBookings = () => {
+  loading = loading || load();
+  return loading;
+};
+
+const mutate = async (action) => {
+  const result = await action();
+  await load();
+  return result;
+};
+
+export const addBooking = (details) => mutate(() => adapter.create(details));
+
+export const cancelBooking = (bookingId) =>
+  mutate(() => adapter.cancel(bookingId));
+
+export const markNoShow = (bookingId) =>
+  mutate(() => adapter.markNoShow(bookingId));
+
+// `slot` holds the booking fields of the new slot (see toBookingSlot)
+export const rescheduleBooking = (bookingId, slot) =>
+  mutate(() => adapter.reschedule(bookingId, slot));
+
+/**
+ * Calls `listener` with the latest bookings whenever they change, here or
+ * elsewhere (another tab, or the server). Returns an unsubscribe function.
+ */
+export function subscribe(listener) {
+  listeners.add(listener);
+  if (!unwatch) {
+    unwatch = adapter.watch(() => getBookings().catch(() => {}));
+  }
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0 && unwatch) {
+      unwatch();
+      unwatch = null;
+    }
+  };
+}
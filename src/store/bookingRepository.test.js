@@ -0,0 +1,197 @@
+import {
+  addBooking,
+  cancelBooking,
+  getBookingStatus,
+  getBookings,
+  getOpenSlots,
+  markNoShow,
+  rescheduleBooking,
+  subscribe,
+} from "./bookingRepository";
+import { format } from "date-fns";
+import { SCHEMA_VERSION } from "./adapters/localStorageAdapter";
+
+const hospital = {
+  "Provider ID": "10001",
+  "Hospital Name": "SOUTHEAST ALABAMA MEDICAL CENTER",
+};
+const date = new Date(2024, 4, 20);
+
+beforeEach(() => {
+  localStorage.clear();
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+const before = new Date(2024, 4, 1);
+
+// Start times of the slots with no places left
+const getBookedSlots = (details, day, bookings) =>
+  Object.values(getOpenSlots(details, day, bookings, before))
+    .flat()
+    .filter((slot) => slot.remaining === 0)
+    .map((slot) => format(slot.start, "hh:mm a"));
+
+test("marks a booked slot as taken for that hospital and date only", async () => {
+  await addBooking({ ...hospital, bookingDate: date, bookingTime: "12:00 PM" });
+  const bookings = await getBookings();
+  expect(getBookedSlots(hospital, date, bookings)).toEqual(["12:00 PM"]);
+  expect(getBookedSlots(hospital, new Date(2024, 4, 21), bookings)).toEqual([]);
+  expect(getBookedSlots({ "Provider ID": "10005" }, date, bookings)).toEqual(
+    []
+  );
+});
+
+test("lets as many patients book a slot as it has places", async () => {
+  const slot = {
+    ...hospital,
+    bookingDate: date,
+    bookingTime: "12:00 PM",
+    bookingStart: new Date(2024, 4, 20, 12, 0).toISOString(),
+    slotCapacity: 2,
+  };
+  await addBooking(slot);
+  await addBooking(slot);
+  await expect(addBooking(slot)).rejects.toThrow(/already booked/);
+});
+
+test("books a doctor's slots apart from the hospital's", async () => {
+  const doctor = { id: "lesley-hull", name: "Dr. Lesley Hull" };
+  const slot = { bookingDate: date, bookingTime: "12:00 PM" };
+  await addBooking({ ...hospital, ...slot });
+  await addBooking({ ...hospital, ...slot, doctor });
+  await expect(addBooking({ ...hospital, ...slot, doctor })).rejects.toThrow(
+    "already booked with Dr. Lesley Hull"
+  );
+  const bookings = await getBookings();
+  expect(getBookedSlots({ ...hospital, doctor }, date, bookings)).toEqual([
+    "12:00 PM",
+  ]);
+  expect(
+    getBookedSlots(
+      { ...hospital, doctor: { id: "ankur-sharma" } },
+      date,
+      bookings
+    )
+  ).toEqual([]);
+});
+
+test("rejects booking the same hospital, date and time twice", async () => {
+  await addBooking({ ...hospital, bookingDate: date, bookingTime: "12:00 PM" });
+  await expect(
+    addBooking({ ...hospital, bookingDate: date, bookingTime: "12:00 PM" })
+  ).rejects.toThrow(/already booked/);
+  expect(await getBookings()).toHaveLength(1);
+});
+
+test("cancelling frees the slot again", async () => {
+  const booking = await addBooking({
+    ...hospital,
+    bookingDate: date,
+    bookingTime: "12:00 PM",
+  });
+  await cancelBooking(booking.bookingId);
+  const bookings = await getBookings();
+  expect(bookings[0].status).toBe("cancelled");
+  expect(getBookedSlots(hospital, date, bookings)).toEqual([]);
+  await expect(
+    addBooking({ ...hospital, bookingDate: date, bookingTime: "12:00 PM" })
+  ).resolves.toMatchObject({ status: "confirmed" });
+});
+
+test("rescheduling moves the booking and rejects taken slots", async () => {
+  const booking = await addBooking({
+    ...hospital,
+    bookingDate: date,
+    bookingTime: "12:00 PM",
+  });
+  await addBooking({ ...hospital, bookingDate: date, bookingTime: "12:30 PM" });
+  await expect(
+    rescheduleBooking(booking.bookingId, {
+      bookingDate: date,
+      bookingTime: "12:30 PM",
+    })
+  ).rejects.toThrow(/already booked/);
+  await rescheduleBooking(booking.bookingId, {
+    bookingDate: date,
+    bookingTime: "02:00 PM",
+  });
+  const bookings = await getBookings();
+  expect(getBookedSlots(hospital, date, bookings).sort()).toEqual([
+    "02:00 PM",
+    "12:30 PM",
+  ]);
+});
+
+test("derives completed once the slot ends and keeps a recorded no-show", async () => {
+  const booking = await addBooking({
+    ...hospital,
+    bookingDate: date,
+    bookingTime: "12:00 PM",
+  });
+  expect(getBookingStatus(booking, new Date(2024, 4, 20, 12, 15))).toBe(
+    "confirmed"
+  );
+  expect(getBookingStatus(booking, new Date(2024, 4, 20, 12, 30))).toBe(
+    "completed"
+  );
+  await markNoShow(booking.bookingId);
+  const [updated] = await getBookings();
+  expect(getBookingStatus(updated, new Date(2024, 4, 21))).toBe("no-show");
+});
+
+test("migrates legacy arrays and drops invalid records", async () => {
+  localStorage.setItem(
+    "bookings",
+    JSON.stringify([
+      { ...hospital, bookingDate: date, bookingTime: "12:00 PM" },
+      { bookingTime: 5 },
+    ])
+  );
+  const [booking, ...rest] = await getBookings();
+  expect(rest).toEqual([]);
+  expect(booking.bookingId).toMatch(/^MED-/);
+  expect(booking.status).toBe("confirmed");
+  expect(JSON.parse(localStorage.getItem("bookings")).version).toBe(
+    SCHEMA_VERSION
+  );
+});
+
+test("gives every booking its own ID", async () => {
+  const legacy = { ...hospital, bookingDate: date, bookingTime: "12:00 PM" };
+  localStorage.setItem(
+    "bookings",
+    JSON.stringify({
+      version: SCHEMA_VERSION,
+      bookings: [
+        { ...legacy, bookingId: "MED-1" },
+        { ...legacy, bookingTime: "12:30 PM", bookingId: "MED-1" },
+        { ...legacy, bookingTime: "02:00 PM" },
+      ],
+    })
+  );
+  const ids = (await getBookings()).map((booking) => booking.bookingId);
+  expect(ids[0]).toBe("MED-1");
+  expect(new Set(ids).size).toBe(3);
+  expect(await getBookings()).toEqual(
+    JSON.parse(localStorage.getItem("bookings")).bookings
+  );
+});
+
+test("recovers from unparseable data and keeps a backup", async () => {
+  localStorage.setItem("bookings", "{not json");
+  expect(await getBookings()).toEqual([]);
+  const backup = Object.keys(localStorage).find((key) =>
+    key.startsWith("bookings.corrupt.")
+  );
+  expect(localStorage.getItem(backup)).toBe("{not json");
+});
+
+test("notifies subscribers of changes", async () => {
+  const listener = jest.fn();
+  const unsubscribe = subscribe(listener);
+  await addBooking({ ...hospital, bookingDate: date, bookingTime: "12:00 PM" });
+  expect(listener).toHaveBeenCalledWith([
+    expect.objectContaining({ bookingTime: "12:00 PM" }),
+  ]);
+  unsubscribe();
+});
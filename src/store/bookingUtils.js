@@ -0,0 +1,88 @@
+import { format } from "date-fns";
+import {
+  getAppointmentEnd,
+  getAppointmentStart,
+  getDaySlots,
+  getHospitalId,
+} from "../utils/slots";
+
+export const STATUS = {
+  CONFIRMED: "confirmed",
+  COMPLETED: "completed",
+  CANCELLED: "cancelled",
+  NO_SHOW: "no-show",
+};
+
+export const STATUS_LABELS = {
+  [STATUS.CONFIRMED]: "Confirmed",
+  [STATUS.COMPLETED]: "Completed",
+  [STATUS.CANCELLED]: "Cancelled",
+  [STATUS.NO_SHOW]: "No-show",
+};
+
+/**
+ * A confirmed booking becomes completed once its slot has ended; the stored
+ * status only records what a person decided (cancelled, no-show).
+ */
+export function getBookingStatus(booking, now = new Date()) {
+  if (booking.status && booking.status !== STATUS.CONFIRMED) {
+    return booking.status;
+  }
+  return getAppointmentEnd(booking) <= now
+    ? STATUS.COMPLETED
+    : STATUS.CONFIRMED;
+}
+
+export const isUpcoming = (booking, now) =>
+  getBookingStatus(booking, now) === STATUS.CONFIRMED;
+
+export const byAppointmentTime = (a, b) =>
+  getAppointmentStart(a) - getAppointmentStart(b);
+
+export const generateBookingId = () =>
+  `MED-${Date.now().toString(36).slice(-4)}${Math.random()
+    .toString(36)
+    .slice(2, 6)}`.toUpperCase();
+
+export const isActive = (booking) => booking.status !== STATUS.CANCELLED;
+
+const getDoctorId = (details) => details.doctor?.id || null;
+
+// How many active bookings already hold the slot at `start`; a doctor's
+// slots are counted apart from the hospital's own
+export const countSlotBookings = (bookings, details, start) =>
+  bookings.filter(
+    (booking) =>
+      isActive(booking) &&
+      getHospitalId(booking) === getHospitalId(details) &&
+      getDoctorId(booking) === getDoctorId(details) &&
+      getAppointmentStart(booking).getTime() === new Date(start).getTime()
+  ).length;
+
+// The day's slots, each with how many places are still free
+export function getOpenSlots(details, date, bookings, now) {
+  const slots = getDaySlots(details, date, now);
+  Object.keys(slots).forEach((period) => {
+    slots[period] = slots[period].map((slot) => ({
+      ...slot,
+      remaining: Math.max(
+        0,
+        slot.capacity - countSlotBookings(bookings, details, slot.start)
+      ),
+    }));
+  });
+  return slots;
+}
+
+export const slotTakenMessage = (start, details = {}) =>
+  `${format(start, "hh:mm a 'on' E, d LLL")} is already booked ${
+    details.doctor ? `with ${details.doctor.name}` : "at this hospital"
+  }. Please pick another slot.`;
+
+// `slot` is a booking, or the booking fields of the slot being moved to
+export const assertSlotFree = (bookings, slot) => {
+  const start = getAppointmentStart(slot);
+  if (countSlotBookings(bookings, slot, start) >= (slot.slotCapacity || 1)) {
+    throw new Error(slotTakenMessage(start, slot));
+  }
+};
@@ -0,0 +1,24 @@
+import { useCallback, useEffect, useState } from "react";
+import { getBookings, getCachedBookings, subscribe } from "./bookingRepository";
+
+export default function useBookings() {
+  const [bookings, setBookings] = useState(getCachedBookings);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const reload = useCallback(() => {
+    setIsLoading(true);
+    setError(null);
+    getBookings()
+      .catch(setError)
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  useEffect(() => {
+    const unsubscribe = subscribe(setBookings);
+    reload();
+    return unsubscribe;
+  }, [reload]);
+
+  return { bookings, isLoading, error, reload };
+}
@@ -0,0 +1,87 @@
+import { format } from "date-fns";
+import { getAppointmentStart } from "./slots";
+import { formatPhone } from "./patient";
+import { getAddress } from "./hospitals";
+
+const QR_OPTIONS = { errorCorrectionLevel: "M" };
+
+// Label/value pairs shown on the slip, in the printed order
+export function getSlipRows(booking) {
+  const start = getAppointmentStart(booking);
+  const { patient } = booking;
+  return [
+    [
+      "Doctor",
+      booking.doctor &&
+        `${booking.doctor.name}, ${booking.doctor.specialization}`,
+    ],
+    ["Date", format(start, "EEEE, d MMMM yyyy")],
+    ["Time", booking.bookingTime],
+    ["Patient", patient?.name],
+    ["Age / Gender", patient && `${patient.age} yrs, ${patient.gender}`],
+    ["Phone", patient?.phone && formatPhone(patient.phone)],
+    ["Email", booking.bookingEmail],
+    ["Reason", patient?.reason],
+  ].filter(([, value]) => value);
+}
+
+// The QR code holds just the booking ID, which reception can look up
+export const getQrCodeSvgUrl = async (booking) => {
+  const { toString } = await import("qrcode");
+  const svg = await toString(booking.bookingId, {
+    ...QR_OPTIONS,
+    type: "svg",
+    margin: 1,
+  });
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+};
+
+// Draws the QR code as vector squares, so it stays sharp when printed
+const drawQrCode = (doc, QRCode, text, x, y, size) => {
+  const { modules } = QRCode.create(text, QR_OPTIONS);
+  const cell = size / modules.size;
+  doc.setFillColor(0);
+  for (let row = 0; row < modules.size; row++) {
+    for (let col = 0; col < modules.size; col++) {
+      if (modules.get(row, col)) {
+        doc.rect(x + col * cell, y + row * cell, cell, cell, "F");
+      }
+    }
+  }
+};
+
+export async function downloadSlipPdf(booking) {
+  const [{ jsPDF }, QRCode] = await Promise.all([
+    import("jspdf"),
+    import("qrcode"),
+  ]);
+  const doc = new jsPDF({ unit: "mm", format: "a5" });
+  const left = 14;
+  const width = doc.internal.pageSize.getWidth() - left * 2;
+
+  doc.setFont("helvetica", "bold").setFontSize(16);
+  doc.text("Appointment slip", left, 20);
+  doc.setFontSize(12);
+  doc.text(doc.splitTextToSize(booking["Hospital Name"], width - 40), left, 30);
+  doc.setFont("helvetica", "normal").setFontSize(10);
+  doc.text(doc.splitTextToSize(getAddress(booking), width - 40), left, 42);
+  drawQrCode(doc, QRCode, booking.bookingId, left + width - 34, 24, 34);
+
+  let y = 66;
+  getSlipRows(booking).forEach(([label, value]) => {
+    const lines = doc.splitTextToSize(String(value), width - 32);
+    doc.setTextColor(120).text(label, left, y);
+    doc.setTextColor(0).text(lines, left + 32, y);
+    y += lines.length * 5 + 2;
+  });
+
+  doc.setFont("helvetica", "bold").setFontSize(14);
+  doc.text(`Booking ID: ${booking.bookingId}`, left, y + 6);
+  doc.setFont("helvetica", "normal").setFontSize(8).setTextColor(120);
+  doc.text(
+    "Please show this slip at the reception desk.",
+    left,
+    doc.internal.pageSize.getHeight() - 10
+  );
+  doc.save(`${booking.bookingId}.pdf`);
+}
@@ -0,0 +1,40 @@
+import { getSlipRows } from "./appointmentSlip";
+
+const booking = {
+  "Hospital Name": "SOUTHEAST ALABAMA MEDICAL CENTER",
+  bookingId: "MED-AB12CD34",
+  bookingDate: new Date(2024, 4, 20).toISOString(),
+  bookingTime: "10:30 AM",
+  bookingStart: new Date(2024, 4, 20, 10, 30).toISOString(),
+  bookingEmail: "jane@example.com",
+  patient: {
+    name: "Jane Doe",
+    phone: "9876543210",
+    age: "34",
+    gender: "Female",
+    reason: "Follow-up",
+  },
+};
+
+test("lists the appointment and patient details in order", () => {
+  expect(getSlipRows(booking)).toEqual([
+    ["Date", "Monday, 20 May 2024"],
+    ["Time", "10:30 AM"],
+    ["Patient", "Jane Doe"],
+    ["Age / Gender", "34 yrs, Female"],
+    ["Phone", "+91 9876543210"],
+    ["Email", "jane@example.com"],
+    ["Reason", "Follow-up"],
+  ]);
+});
+
+test("adds the doctor and leaves out what the booking lacks", () => {
+  const rows = getSlipRows({
+    ...booking,
+    doctor: { name: "Dr. Lesley Hull", specialization: "Medicine" },
+    bookingEmail: undefined,
+    patient: undefined,
+  });
+  expect(rows.map(([label]) => label)).toEqual(["Doctor", "Date", "Time"]);
+  expect(rows[0][1]).toBe("Dr. Lesley Hull, Medicine");
+});
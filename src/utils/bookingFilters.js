@@ -0,0 +1,78 @@
+import { format, isValid, parseISO } from "date-fns";
+import { STATUS_LABELS, getBookingStatus } from "../store/bookingUtils";
+import { toDateKey } from "./slots";
+
+export const EMPTY_BOOKING_FILTERS = {
+  query: "",
+  from: "",
+  to: "",
+  status: "",
+};
+
+const SEARCH_FIELDS = [
+  (booking) => booking["Hospital Name"],
+  (booking) => booking.doctor?.name,
+  (booking) => booking["City"],
+  (booking) => booking["State"],
+  (booking) => booking.bookingEmail,
+  (booking) => booking.bookingId,
+];
+
+// A hand-edited URL can hold anything; only real yyyy-MM-dd days are kept
+const parseDay = (value) =>
+  /^\d{4}-\d{2}-\d{2}$/.test(value) && isValid(parseISO(value)) ? value : "";
+
+export const parseBookingFilters = (searchParams) => ({
+  query: searchParams.get("q") || "",
+  from: parseDay(searchParams.get("from")),
+  to: parseDay(searchParams.get("to")),
+  status: STATUS_LABELS[searchParams.get("status")]
+    ? searchParams.get("status")
+    : "",
+});
+
+export function writeBookingFilters(searchParams, { query, from, to, status }) {
+  const params = new URLSearchParams(searchParams);
+  const setOrDelete = (key, value) =>
+    value ? params.set(key, value) : params.delete(key);
+  setOrDelete("q", query);
+  setOrDelete("from", from);
+  setOrDelete("to", to);
+  setOrDelete("status", status);
+  return params;
+}
+
+export function filterBookings(
+  bookings,
+  { query, from, to, status },
+  now = new Date()
+) {
+  const text = query.trim().toLowerCase();
+  return bookings.filter((booking) => {
+    const day = toDateKey(booking.bookingDate);
+    return (
+      (!text ||
+        SEARCH_FIELDS.some((field) =>
+          String(field(booking) || "")
+            .toLowerCase()
+            .includes(text)
+        )) &&
+      (!from || day >= from) &&
+      (!to || day <= to) &&
+      (!status || getBookingStatus(booking, now) === status)
+    );
+  });
+}
+
+const formatDay = (key) => format(parseISO(key), "d LLL yyyy");
+
+// Human-readable list of the filters currently narrowing the results
+export function describeBookingFilters({ query, from, to, status }) {
+  const parts = [];
+  if (query.trim()) parts.push(`matching "${query.trim()}"`);
+  if (from && to) parts.push(`between ${formatDay(from)} and ${formatDay(to)}`);
+  else if (from) parts.push(`on or after ${formatDay(from)}`);
+  else if (to) parts.push(`on or before ${formatDay(to)}`);
+  if (status) parts.push(`with status "${STATUS_LABELS[status]}"`);
+  return parts;
+}
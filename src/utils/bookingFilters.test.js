@@ -0,0 +1,85 @@
+import {
+  EMPTY_BOOKING_FILTERS,
+  describeBookingFilters,
+  filterBookings,
+  parseBookingFilters,
+  writeBookingFilters,
+} from "./bookingFilters";
+
+const booking = (overrides) => ({
+  "Hospital Name": "SOUTHEAST ALABAMA MEDICAL CENTER",
+  City: "DOTHAN",
+  State: "AL",
+  bookingEmail: "jane@example.com",
+  bookingId: "MED-AB12CD34",
+  bookingDate: new Date(2024, 4, 20).toISOString(),
+  bookingTime: "10:00 AM",
+  status: "confirmed",
+  ...overrides,
+});
+
+const bookings = [
+  booking(),
+  booking({
+    "Hospital Name": "MARSHALL MEDICAL CENTER",
+    City: "BOAZ",
+    bookingEmail: "sam@example.com",
+    bookingId: "MED-ZZ99YY88",
+    bookingDate: new Date(2024, 5, 2).toISOString(),
+    status: "cancelled",
+  }),
+];
+
+test("matches hospital, city, state, email and booking ID", () => {
+  const search = (query) =>
+    filterBookings(bookings, { ...EMPTY_BOOKING_FILTERS, query }).length;
+  expect(search("marshall")).toBe(1);
+  expect(search("dothan")).toBe(1);
+  expect(search("al")).toBe(2);
+  expect(search("sam@")).toBe(1);
+  expect(search("med-ab12")).toBe(1);
+  expect(search("nowhere")).toBe(0);
+});
+
+test("filters by date range and status", () => {
+  const filter = (changes) =>
+    filterBookings(bookings, { ...EMPTY_BOOKING_FILTERS, ...changes });
+  expect(filter({ from: "2024-05-21" })).toHaveLength(1);
+  expect(filter({ from: "2024-05-20", to: "2024-05-20" })).toHaveLength(1);
+  expect(filter({ status: "cancelled" })[0].bookingId).toBe("MED-ZZ99YY88");
+});
+
+test("round-trips filters through the URL", () => {
+  const filters = { query: "dothan", from: "2024-05-01", to: "", status: "" };
+  const params = writeBookingFilters(new URLSearchParams("tab=x"), filters);
+  expect(params.toString()).toBe("tab=x&q=dothan&from=2024-05-01");
+  expect(parseBookingFilters(params)).toEqual(filters);
+  expect(parseBookingFilters(new URLSearchParams("status=bogus")).status).toBe(
+    ""
+  );
+});
+
+test("ignores dates in the URL that are not real days", () => {
+  const params = new URLSearchParams("from=foo&to=2024-02-30");
+  expect(parseBookingFilters(params)).toMatchObject({ from: "", to: "" });
+  expect(
+    describeBookingFilters(
+      parseBookingFilters(new URLSearchParams("from=24-5-1"))
+    )
+  ).toEqual([]);
+});
+
+test("describes the active filters", () => {
+  expect(
+    describeBookingFilters({
+      query: "dothan",
+      from: "2024-05-01",
+      to: "",
+      status: "no-show",
+    })
+  ).toEqual([
+    'matching "dothan"',
+    "on or after 1 May 2024",
+    'with status "No-show"',
+  ]);
+});
@@ -0,0 +1,146 @@
+import { formatISO } from "date-fns";
+import { getAppointmentEnd, getAppointmentStart } from "./slots";
+import { getAddress } from "./hospitals";
+
+const REMINDER_MINUTES = 60;
+const PRODUCT_ID = "-//Medify//Bookings//EN";
+
+const getTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// 20240520T043000Z: UTC, so every calendar app places it at the same instant
+const toUtcStamp = (date) =>
+  date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+const escapeText = (text) =>
+  String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Lines longer than 75 octets of UTF-8 continue on the next line after a
+// space, never splitting a character
+const fold = (line) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let part = "";
+  let size = 0;
+  for (const char of line) {
+    const bytes = encoder.encode(char).length;
+    if (size + bytes > (parts.length === 0 ? 75 : 74)) {
+      parts.push(part);
+      part = "";
+      size = 0;
+    }
+    part += char;
+    size += bytes;
+  }
+  parts.push(part);
+  return parts.join("\r\n ");
+};
+
+const getTitle = (booking) => `Appointment at ${booking["Hospital Name"]}`;
+
+const getDescription = (booking) =>
+  [
+    booking.bookingId && `Booking ID: ${booking.bookingId}`,
+    booking.doctor &&
+      `Doctor: ${booking.doctor.name} (${booking.doctor.specialization})`,
+    booking.patient?.name && `Patient: ${booking.patient.name}`,
+    booking.patient?.reason && `Reason: ${booking.patient.reason}`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+export const getAppointmentRange = (booking) => {
+  return {
+    start: getAppointmentStart(booking),
+    end: getAppointmentEnd(booking),
+  };
+};
+
+const buildEvent = (booking, now) => {
+  const { start, end } = getAppointmentRange(booking);
+  return [
+    "BEGIN:VEVENT",
+    `UID:${booking.bookingId}@medify`,
+    `DTSTAMP:${toUtcStamp(now)}`,
+    `DTSTART:${toUtcStamp(start)}`,
+    `DTEND:${toUtcStamp(end)}`,
+    `SUMMARY:${escapeText(getTitle(booking))}`,
+    `LOCATION:${escapeText(getAddress(booking))}`,
+    `DESCRIPTION:${escapeText(getDescription(booking))}`,
+    `STATUS:${booking.status === "cancelled" ? "CANCELLED" : "CONFIRMED"}`,
+    "BEGIN:VALARM",
+    "ACTION:DISPLAY",
+    `TRIGGER:-PT${REMINDER_MINUTES}M`,
+    `DESCRIPTION:${escapeText(getTitle(booking))}`,
+    "END:VALARM",
+    "END:VEVENT",
+  ];
+};
+
+/**
+ * Builds an iCalendar file with one event per booking, each with a reminder
+ * an hour before. Times are written in UTC; X-WR-TIMEZONE tells calendar apps
+ * which zone the bookings were made in.
+ */
+export function buildIcs(bookings, now = new Date()) {
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-TIMEZONE:${getTimeZone()}`,
+    ...bookings.flatMap((booking) => buildEvent(booking, now)),
+    "END:VCALENDAR",
+  ]
+    .map(fold)
+    .join("\r\n")
+    .concat("\r\n");
+}
+
+export function downloadIcs(bookings, filename) {
+  const blob = new Blob([buildIcs(bookings)], {
+    type: "text/calendar;charset=utf-8",
+  });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+export function googleCalendarUrl(booking) {
+  const { start, end } = getAppointmentRange(booking);
+  const params = new URLSearchParams({
+    action: "TEMPLATE",
+    text: getTitle(booking),
+    dates: `${toUtcStamp(start)}/${toUtcStamp(end)}`,
+    details: getDescription(booking),
+    location: getAddress(booking),
+    ctz: getTimeZone(),
+  });
+  return `https://calendar.google.com/calendar/render?${params}`;
+}
+
+export function outlookCalendarUrl(booking) {
+  const { start, end } = getAppointmentRange(booking);
+  const params = new URLSearchParams({
+    path: "/calendar/action/compose",
+    rru: "addevent",
+    subject: getTitle(booking),
+    startdt: formatISO(start),
+    enddt: formatISO(end),
+    body: getDescription(booking),
+    location: getAddress(booking),
+  });
+  return `https://outlook.live.com/calendar/0/deeplink/compose?${params}`;
+}
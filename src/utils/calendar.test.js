@@ -0,0 +1,67 @@
+import { TextEncoder } from "util";
+import { buildIcs, googleCalendarUrl } from "./calendar";
+
+// Browsers have it; the jsdom test environment does not
+global.TextEncoder = TextEncoder;
+
+const booking = {
+  "Hospital Name": "SOUTHEAST ALABAMA MEDICAL CENTER",
+  Address: "1108 ROSS CLARK CIRCLE",
+  City: "DOTHAN",
+  State: "AL",
+  "ZIP Code": "36301",
+  bookingId: "MED-AB12CD34",
+  bookingDate: new Date(2024, 4, 20).toISOString(),
+  bookingTime: "02:30 PM",
+  status: "confirmed",
+  patient: { name: "Jane Doe", reason: "Follow-up; bring reports" },
+};
+
+const utc = (date) =>
+  date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+test("builds an event at the booked time with a reminder", () => {
+  const ics = buildIcs([booking], new Date(2024, 4, 1));
+  const lines = ics.split("\r\n");
+  expect(lines[0]).toBe("BEGIN:VCALENDAR");
+  expect(ics.endsWith("END:VCALENDAR\r\n")).toBe(true);
+  expect(lines).toContain(`DTSTART:${utc(new Date(2024, 4, 20, 14, 30))}`);
+  expect(lines).toContain(`DTEND:${utc(new Date(2024, 4, 20, 15, 0))}`);
+  expect(lines).toContain("UID:MED-AB12CD34@medify");
+  expect(lines).toContain("TRIGGER:-PT60M");
+  expect(ics.replace(/\r\n /g, "")).toContain(
+    "Reason: Follow-up\\; bring reports"
+  );
+  expect(lines.every((line) => line.length <= 75)).toBe(true);
+});
+
+test("folds long lines by octets without splitting characters", () => {
+  const reason = "Douleur à l'épaule — 肩の痛み ".repeat(6).trim();
+  const ics = buildIcs([{ ...booking, patient: { name: "Zoë", reason } }]);
+  const encoder = new TextEncoder();
+  expect(
+    ics.split("\r\n").every((line) => encoder.encode(line).length <= 75)
+  ).toBe(true);
+  expect(ics.replace(/\r\n /g, "")).toContain(`Reason: ${reason}`);
+});
+
+test("exports several bookings in one calendar", () => {
+  const ics = buildIcs([
+    booking,
+    { ...booking, bookingId: "MED-2", bookingTime: "09:30 AM" },
+  ]);
+  expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+});
+
+test("links to Google Calendar with the same times", () => {
+  const url = new URL(googleCalendarUrl(booking));
+  expect(url.searchParams.get("dates")).toBe(
+    `${utc(new Date(2024, 4, 20, 14, 30))}/${utc(new Date(2024, 4, 20, 15, 0))}`
+  );
+  expect(url.searchParams.get("text")).toBe(
+    "Appointment at SOUTHEAST ALABAMA MEDICAL CENTER"
+  );
+});
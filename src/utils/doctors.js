@@ -0,0 +1,141 @@
+import lesley from "../assets/lesley.png";
+import ahmadKhan from "../assets/ahmad.png";
+import heena from "../assets/heena.png";
+import ankur from "../assets/ankur.png";
+import ahmadStevens from "../assets/ahmad-stevens.png";
+import { SPECIALIZATIONS, getSpecialization } from "./specializations";
+
+// `specialization` is a slug from specializations.js; `hospital` holds what
+// is needed to look the hospital up in the data API
+export const DOCTORS = [
+  {
+    id: "lesley-hull",
+    name: "Dr. Lesley Hull",
+    specialization: "primary-care",
+    qualification: "MBBS, MD (Internal Medicine)",
+    experience: 14,
+    img: lesley,
+    about:
+      "Treats adults for common and long-term conditions such as diabetes, high blood pressure and thyroid disorders, with a focus on preventive care.",
+    hospital: {
+      id: "10001",
+      name: "Southeast Alabama Medical Center",
+      city: "DOTHAN",
+      state: "Alabama",
+    },
+  },
+  {
+    id: "ahmad-khan",
+    name: "Dr. Ahmad Khan",
+    specialization: "neurology",
+    qualification: "MBBS, DM (Neurology)",
+    experience: 11,
+    img: ahmadKhan,
+    about:
+      "Sees patients with headaches, epilepsy, stroke and nerve disorders, and runs the hospital's follow-up clinic for stroke recovery.",
+    hospital: {
+      id: "10033",
+      name: "University of Alabama Hospital",
+      city: "BIRMINGHAM",
+      state: "Alabama",
+    },
+  },
+  {
+    id: "heena-sachdeva",
+    name: "Dr. Heena Sachdeva",
+    specialization: "orthopedics",
+    qualification: "MBBS, MS (Orthopedics)",
+    experience: 9,
+    img: heena,
+    about:
+      "Treats joint pain, sports injuries and fractures, and advises on recovery after knee and hip replacement.",
+    hospital: {
+      id: "10069",
+      name: "Flowers Hospital",
+      city: "DOTHAN",
+      state: "Alabama",
+    },
+  },
+  {
+    id: "ankur-sharma",
+    name: "Dr. Ankur Sharma",
+    specialization: "primary-care",
+    qualification: "MBBS, MD (General Medicine)",
+    experience: 8,
+    img: ankur,
+    about:
+      "Looks after fevers, infections and general health check-ups, and refers patients on to specialists when needed.",
+    hospital: {
+      id: "50660",
+      name: "Cedars-Sinai Medical Center",
+      city: "LOS ANGELES",
+      state: "California",
+    },
+  },
+  {
+    id: "ahmad-stevens",
+    name: "Dr. Ahmad Stevens",
+    specialization: "neurology",
+    qualification: "MD, Board Certified in Neurology",
+    experience: 16,
+    img: ahmadStevens,
+    about:
+      "Specialises in movement disorders such as Parkinson's disease, and in sleep and memory problems.",
+    hospital: {
+      id: "20017",
+      name: "Alaska Regional Hospital",
+      city: "ANCHORAGE",
+      state: "Alaska",
+    },
+  },
+];
+
+// The specializations someone can see a doctor for, in the site-wide order
+export const DOCTOR_SPECIALIZATIONS = SPECIALIZATIONS.filter((specialization) =>
+  DOCTORS.some((doctor) => doctor.specialization === specialization.slug)
+);
+
+export const DOCTOR_CITIES = [
+  ...new Set(DOCTORS.map((doctor) => doctor.hospital.city)),
+].sort();
+
+export const getSpecializationTitle = (doctor) =>
+  getSpecialization(doctor.specialization).title;
+
+export const getDoctor = (id) => DOCTORS.find((doctor) => doctor.id === id);
+
+export const doctorPath = (doctor) => `/doctors/${doctor.id}`;
+
+// What a booking keeps of the doctor it is with, ready to display
+export const toBookingDoctor = (doctor) => ({
+  id: doctor.id,
+  name: doctor.name,
+  specialization: getSpecializationTitle(doctor),
+});
+
+export const parseDoctorFilters = (searchParams) => ({
+  specialization: DOCTOR_SPECIALIZATIONS.some(
+    ({ slug }) => slug === searchParams.get("specialization")
+  )
+    ? searchParams.get("specialization")
+    : "",
+  city: DOCTOR_CITIES.includes(searchParams.get("city"))
+    ? searchParams.get("city")
+    : "",
+});
+
+export function writeDoctorFilters(searchParams, { specialization, city }) {
+  const params = new URLSearchParams(searchParams);
+  const setOrDelete = (key, value) =>
+    value ? params.set(key, value) : params.delete(key);
+  setOrDelete("specialization", specialization);
+  setOrDelete("city", city);
+  return params;
+}
+
+export const filterDoctors = (doctors, { specialization, city }) =>
+  doctors.filter(
+    (doctor) =>
+      (!specialization || doctor.specialization === specialization) &&
+      (!city || doctor.hospital.city === city)
+  );
@@ -0,0 +1,51 @@
+import {
+  DOCTORS,
+  DOCTOR_SPECIALIZATIONS,
+  filterDoctors,
+  parseDoctorFilters,
+  toBookingDoctor,
+  writeDoctorFilters,
+} from "./doctors";
+
+test("filters doctors by specialization and city", () => {
+  const names = (filters) =>
+    filterDoctors(DOCTORS, filters).map((doctor) => doctor.name);
+  expect(names({ specialization: "neurology", city: "" })).toEqual([
+    "Dr. Ahmad Khan",
+    "Dr. Ahmad Stevens",
+  ]);
+  expect(names({ specialization: "", city: "DOTHAN" })).toEqual([
+    "Dr. Lesley Hull",
+    "Dr. Heena Sachdeva",
+  ]);
+  expect(names({ specialization: "primary-care", city: "DOTHAN" })).toEqual([
+    "Dr. Lesley Hull",
+  ]);
+});
+
+test("reads and writes the filters in the URL, ignoring unknown values", () => {
+  expect(
+    parseDoctorFilters(
+      new URLSearchParams("specialization=neurology&city=NOWHERE")
+    )
+  ).toEqual({ specialization: "neurology", city: "" });
+  expect(
+    writeDoctorFilters(new URLSearchParams("specialization=neurology"), {
+      specialization: "",
+      city: "DOTHAN",
+    }).toString()
+  ).toBe("city=DOTHAN");
+});
+
+test("uses the same specializations as the rest of the site", () => {
+  expect(DOCTOR_SPECIALIZATIONS.map(({ slug }) => slug)).toEqual([
+    "primary-care",
+    "neurology",
+    "orthopedics",
+  ]);
+  expect(toBookingDoctor(DOCTORS[0])).toEqual({
+    id: "lesley-hull",
+    name: "Dr. Lesley Hull",
+    specialization: "Primary Care",
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Matches `query` against `text` case-insensitively. A plain substring wins
+ * over a scattered match; the matched character positions are returned so
+ * they can be highlighted. Returns null when the text doesn't match.
+ */
+export function fuzzyMatch(text, query) {
+  const haystack = text.toLowerCase();
+  const needle = query.trim().toLowerCase();
+  if (!needle) return { score: 0, indices: [] };
+
+  const start = haystack.indexOf(needle);
+  if (start !== -1) {
+    return {
+      score: 1000 - start * 10 - (haystack.length - needle.length),
+      indices: Array.from(needle, (_, i) => start + i),
+    };
+  }
+
+  const indices = [];
+  let gaps = 0;
+  for (let i = 0, j = 0; i < haystack.length && j < needle.length; i++) {
+    if (haystack[i] === needle[j]) {
+      if (indices.length && i !== indices[indices.length - 1] + 1) gaps++;
+      indices.push(i);
+      j++;
+    }
+  }
+  if (indices.length < needle.length) return null;
+  return { score: 500 - gaps * 20 - indices[0], indices };
+}
+
+export const fuzzyFilter = (options, query) =>
+  options
+    .map((option) => ({ option, match: fuzzyMatch(option, query) }))
+    .filter(({ match }) => match)
+    .sort((a, b) => b.match.score - a.match.score)
+    .map(({ option }) => option);
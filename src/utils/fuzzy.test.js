@@ -0,0 +1,13 @@
+import { fuzzyFilter, fuzzyMatch } from "./fuzzy";
+
+test("prefers substring matches and reports matched positions", () => {
+  expect(fuzzyMatch("BIRMINGHAM", "ming").indices).toEqual([3, 4, 5, 6]);
+  expect(
+    fuzzyFilter(["MONTGOMERY", "GOMER", "GOLDEN MEADOWS"], "gome")
+  ).toEqual(["GOMER", "MONTGOMERY", "GOLDEN MEADOWS"]);
+});
+
+test("matches scattered characters in order", () => {
+  expect(fuzzyMatch("New Hampshire", "nhmp").indices).toEqual([0, 4, 6, 7]);
+  expect(fuzzyMatch("Nevada", "nhmp")).toBeNull();
+});
@@ -0,0 +1,124 @@
+import { getHospitalId } from "./slots";
+import { getStateName } from "./usStates";
+import { getSpecialization, offersSpecialization } from "./specializations";
+
+export const SORT_OPTIONS = [
+  { value: "", label: "Relevance" },
+  { value: "rating", label: "Rating: High to Low" },
+  { value: "rating-asc", label: "Rating: Low to High" },
+  { value: "name", label: "Name: A to Z" },
+  { value: "name-desc", label: "Name: Z to A" },
+];
+
+export const PAGE_SIZE = 10;
+
+export const getRating = (hospital) => {
+  const rating = Number(hospital["Hospital overall rating"]);
+  return Number.isNaN(rating) ? 0 : rating;
+};
+
+export const hasEmergencyData = (hospitals) =>
+  hospitals.some((hospital) => "Emergency Services" in hospital);
+
+export const hasEmergency = (hospital) => {
+  const value = hospital["Emergency Services"];
+  return value === true || String(value).toLowerCase() === "yes";
+};
+
+export const getHospitalTypes = (hospitals) =>
+  [...new Set(hospitals.map((hospital) => hospital["Hospital Type"]))]
+    .filter(Boolean)
+    .sort();
+
+export const parseFilters = (searchParams) => ({
+  types: searchParams.getAll("type"),
+  minRating: Number(searchParams.get("rating")) || 0,
+  emergency: searchParams.get("emergency") === "1",
+  sort: searchParams.get("sort") || "",
+  specialization: getSpecialization(searchParams.get("specialization"))
+    ? searchParams.get("specialization")
+    : "",
+});
+
+export function applyFilters(
+  hospitals,
+  { types, minRating, emergency, sort, specialization }
+) {
+  const offered = getSpecialization(specialization);
+  const filtered = hospitals.filter(
+    (hospital) =>
+      (types.length === 0 || types.includes(hospital["Hospital Type"])) &&
+      getRating(hospital) >= minRating &&
+      (!emergency || hasEmergency(hospital)) &&
+      (!offered || offersSpecialization(hospital, offered))
+  );
+
+  const byName = (a, b) => a["Hospital Name"].localeCompare(b["Hospital Name"]);
+  const byRating = (a, b) => getRating(a) - getRating(b);
+
+  switch (sort) {
+    case "rating":
+      return filtered.sort((a, b) => byRating(b, a) || byName(a, b));
+    case "rating-asc":
+      return filtered.sort((a, b) => byRating(a, b) || byName(a, b));
+    case "name":
+      return filtered.sort(byName);
+    case "name-desc":
+      return filtered.sort((a, b) => byName(b, a));
+    default:
+      return filtered;
+  }
+}
+
+export function writeFilters(
+  searchParams,
+  { types, minRating, emergency, sort, specialization }
+) {
+  const params = new URLSearchParams(searchParams);
+  // A different result set starts again from the first page
+  params.delete("page");
+  params.delete("type");
+  types.forEach((type) => params.append("type", type));
+  const setOrDelete = (key, value) =>
+    value ? params.set(key, value) : params.delete(key);
+  setOrDelete("rating", minRating);
+  setOrDelete("emergency", emergency ? "1" : "");
+  setOrDelete("sort", sort);
+  setOrDelete("specialization", specialization);
+  return params;
+}
+
+export const parsePage = (searchParams, totalItems) => {
+  const lastPage = Math.max(1, Math.ceil(totalItems / PAGE_SIZE));
+  const page = parseInt(searchParams.get("page"), 10) || 1;
+  return Math.min(Math.max(page, 1), lastPage);
+};
+
+export const paginate = (items, page) =>
+  items.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
+
+// "1108 Ross Clark Circle, DOTHAN, AL 36301", skipping missing parts
+export const getAddress = (hospital) =>
+  [
+    hospital["Address"],
+    hospital["City"],
+    [hospital["State"], hospital["ZIP Code"]].filter(Boolean).join(" "),
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+export const hospitalPath = (hospital) =>
+  `/hospital/${encodeURIComponent(
+    getHospitalId(hospital)
+  )}?state=${encodeURIComponent(
+    getStateName(hospital["State"])
+  )}&city=${encodeURIComponent(hospital["City"])}`;
+
+// Leaves out whatever is not known yet, so the search page can ask for it
+export function searchPath({ state, city, specialization }) {
+  const params = new URLSearchParams();
+  if (state) params.set("state", state);
+  if (city) params.set("city", city);
+  if (specialization) params.set("specialization", specialization);
+  return `/search?${params}`;
+}
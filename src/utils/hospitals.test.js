@@ -0,0 +1,102 @@
+import {
+  PAGE_SIZE,
+  applyFilters,
+  getAddress,
+  paginate,
+  parseFilters,
+  parsePage,
+  writeFilters,
+} from "./hospitals";
+
+const hospital = (name, overrides) => ({
+  "Hospital Name": name,
+  "Hospital Type": "Acute Care Hospitals",
+  "Hospital overall rating": "3",
+  "Emergency Services": "Yes",
+  ...overrides,
+});
+
+const hospitals = [
+  hospital("BETA"),
+  hospital("ALPHA", { "Hospital overall rating": "5" }),
+  hospital("DELTA", {
+    "Hospital Type": "Critical Access Hospitals",
+    "Hospital overall rating": "Not Available",
+    "Emergency Services": "No",
+  }),
+  hospital("GAMMA", { "Hospital overall rating": "3" }),
+];
+
+const names = (query) =>
+  applyFilters(hospitals, parseFilters(new URLSearchParams(query))).map(
+    (h) => h["Hospital Name"]
+  );
+
+test("filters by hospital type, rating and emergency services", () => {
+  expect(names("type=Critical Access Hospitals")).toEqual(["DELTA"]);
+  expect(
+    names("type=Critical Access Hospitals&type=Acute Care Hospitals")
+  ).toHaveLength(4);
+  expect(names("rating=4")).toEqual(["ALPHA"]);
+  expect(names("rating=3")).toEqual(["BETA", "ALPHA", "GAMMA"]);
+  expect(names("emergency=1")).toEqual(["BETA", "ALPHA", "GAMMA"]);
+});
+
+test("sorts by rating and name in both directions", () => {
+  expect(names("")).toEqual(["BETA", "ALPHA", "DELTA", "GAMMA"]);
+  expect(names("sort=rating")).toEqual(["ALPHA", "BETA", "GAMMA", "DELTA"]);
+  expect(names("sort=rating-asc")).toEqual(["DELTA", "BETA", "GAMMA", "ALPHA"]);
+  expect(names("sort=name")).toEqual(["ALPHA", "BETA", "DELTA", "GAMMA"]);
+  expect(names("sort=name-desc")).toEqual(["GAMMA", "DELTA", "BETA", "ALPHA"]);
+});
+
+test("round-trips filters through the URL", () => {
+  const filters = parseFilters(
+    new URLSearchParams("type=Critical Access Hospitals&rating=2&emergency=1")
+  );
+  const params = writeFilters(new URLSearchParams("state=Alabama"), {
+    ...filters,
+    sort: "name",
+  });
+  expect(parseFilters(params)).toEqual({ ...filters, sort: "name" });
+  expect(params.get("state")).toBe("Alabama");
+  expect(
+    writeFilters(params, { ...filters, types: [], minRating: 0 }).toString()
+  ).toBe("state=Alabama&emergency=1");
+});
+
+test("clamps the page in the URL to the pages there are", () => {
+  const page = (query, total) => parsePage(new URLSearchParams(query), total);
+  expect(page("", 25)).toBe(1);
+  expect(page("page=2", 25)).toBe(2);
+  expect(page("page=9", 25)).toBe(3);
+  expect(page("page=0", 25)).toBe(1);
+  expect(page("page=abc", 25)).toBe(1);
+  expect(page("page=3", 0)).toBe(1);
+});
+
+test("slices out the requested page", () => {
+  const items = Array.from({ length: PAGE_SIZE + 3 }, (_, i) => i);
+  expect(paginate(items, 1)).toHaveLength(PAGE_SIZE);
+  expect(paginate(items, 2)).toEqual(items.slice(PAGE_SIZE));
+});
+
+test("goes back to the first page when the filters change", () => {
+  const params = writeFilters(
+    new URLSearchParams("page=3"),
+    parseFilters(new URLSearchParams("rating=4"))
+  );
+  expect(params.has("page")).toBe(false);
+});
+
+test("joins the address parts that are there", () => {
+  expect(
+    getAddress({
+      Address: "1108 ROSS CLARK CIRCLE",
+      City: "DOTHAN",
+      State: "AL",
+      "ZIP Code": 36301,
+    })
+  ).toBe("1108 ROSS CLARK CIRCLE, DOTHAN, AL 36301");
+  expect(getAddress({ City: "DOTHAN", State: "AL" })).toBe("DOTHAN, AL");
+});
@@ -0,0 +1,47 @@
+export const EMPTY_PATIENT = {
+  name: "",
+  email: "",
+  phone: "",
+  age: "",
+  gender: "",
+  reason: "",
+  bookingFor: "self",
+};
+
+export const GENDERS = ["Female", "Male", "Other"];
+
+export const BOOKING_FOR = [
+  { value: "self", label: "Myself" },
+  { value: "family", label: "A family member" },
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Indian mobile numbers, entered without the +91 prefix
+const PHONE_PATTERN = /^[6-9]\d{9}$/;
+
+export function validatePatient(patient) {
+  const errors = {};
+  const age = Number(patient.age);
+
+  if (patient.name.trim().length < 2) {
+    errors.name = "Please enter the patient's full name";
+  }
+  if (!EMAIL_PATTERN.test(patient.email.trim())) {
+    errors.email = "Please enter a valid email address";
+  }
+  if (!PHONE_PATTERN.test(patient.phone.replace(/\s/g, ""))) {
+    errors.phone = "Enter a 10 digit mobile number starting with 6-9";
+  }
+  if (patient.age === "" || !Number.isInteger(age) || age < 0 || age > 120) {
+    errors.age = "Age must be a whole number between 0 and 120";
+  }
+  if (!GENDERS.includes(patient.gender)) {
+    errors.gender = "Please select a gender";
+  }
+  if (!patient.reason.trim()) {
+    errors.reason = "Please tell us the reason for the visit";
+  }
+  return errors;
+}
+
+export const formatPhone = (phone) => `+91 ${phone.replace(/\s/g, "")}`;
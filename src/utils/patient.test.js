@@ -0,0 +1,56 @@
+import { EMPTY_PATIENT, formatPhone, validatePatient } from "./patient";
+
+const patient = (overrides) => ({
+  ...EMPTY_PATIENT,
+  name: "Jane Doe",
+  email: "jane@example.com",
+  phone: "98765 43210",
+  age: "34",
+  gender: "Female",
+  reason: "Follow-up",
+  ...overrides,
+});
+
+const errorKeys = (overrides) =>
+  Object.keys(validatePatient(patient(overrides)));
+
+test("accepts a complete patient", () => {
+  expect(validatePatient(patient())).toEqual({});
+  expect(validatePatient(patient({ age: "0" }))).toEqual({});
+  expect(validatePatient(patient({ age: "120" }))).toEqual({});
+});
+
+test("flags every missing required field", () => {
+  expect(Object.keys(validatePatient(EMPTY_PATIENT)).sort()).toEqual([
+    "age",
+    "email",
+    "gender",
+    "name",
+    "phone",
+    "reason",
+  ]);
+  expect(errorKeys({ name: " J " })).toEqual(["name"]);
+  expect(errorKeys({ reason: "   " })).toEqual(["reason"]);
+  expect(errorKeys({ gender: "Unknown" })).toEqual(["gender"]);
+});
+
+test("checks the email address", () => {
+  expect(errorKeys({ email: "jane@example" })).toEqual(["email"]);
+  expect(errorKeys({ email: "jane example.com" })).toEqual(["email"]);
+  expect(errorKeys({ email: " jane@example.com " })).toEqual([]);
+});
+
+test("takes 10 digit Indian mobile numbers without the +91 prefix", () => {
+  expect(errorKeys({ phone: "9876543210" })).toEqual([]);
+  expect(errorKeys({ phone: "5876543210" })).toEqual(["phone"]);
+  expect(errorKeys({ phone: "987654321" })).toEqual(["phone"]);
+  expect(errorKeys({ phone: "+919876543210" })).toEqual(["phone"]);
+  expect(formatPhone("98765 43210")).toBe("+91 9876543210");
+});
+
+test("keeps the age a whole number between 0 and 120", () => {
+  expect(errorKeys({ age: "-1" })).toEqual(["age"]);
+  expect(errorKeys({ age: "121" })).toEqual(["age"]);
+  expect(errorKeys({ age: "3.5" })).toEqual(["age"]);
+  expect(errorKeys({ age: "abc" })).toEqual(["age"]);
+});
@@ -0,0 +1,32 @@
+const STORAGE_KEY = "recentSearches";
+const MAX_RECENT = 5;
+
+const isPlace = (value) => typeof value === "string" && value !== "";
+
+// Skips entries left by older versions or edited by hand
+const isValidSearch = (search) =>
+  search !== null &&
+  typeof search === "object" &&
+  isPlace(search.state) &&
+  isPlace(search.city);
+
+export function getRecentSearches() {
+  try {
+    const searches = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(searches) ? searches.filter(isValidSearch) : [];
+  } catch (err) {
+    localStorage.removeItem(STORAGE_KEY);
+    return [];
+  }
+}
+
+export function addRecentSearch({ state, city }) {
+  const searches = [
+    { state, city },
+    ...getRecentSearches().filter(
+      (search) => search.state !== state || search.city !== city
+    ),
+  ].slice(0, MAX_RECENT);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(searches));
+  return searches;
+}
@@ -0,0 +1,33 @@
+import { addRecentSearch, getRecentSearches } from "./recentSearches";
+
+beforeEach(() => localStorage.clear());
+
+test("skips entries without a state and city", () => {
+  localStorage.setItem(
+    "recentSearches",
+    JSON.stringify([
+      { state: "Alabama", city: "DOTHAN" },
+      { state: "Alabama" },
+      { state: "Alaska", city: "" },
+      { state: 1, city: "ANCHORAGE" },
+      null,
+      "DOTHAN",
+    ])
+  );
+  expect(getRecentSearches()).toEqual([{ state: "Alabama", city: "DOTHAN" }]);
+});
+
+test("clears searches that can't be read", () => {
+  localStorage.setItem("recentSearches", "{not json");
+  expect(getRecentSearches()).toEqual([]);
+  expect(localStorage.getItem("recentSearches")).toBeNull();
+});
+
+test("keeps the latest searches first without repeats", () => {
+  addRecentSearch({ state: "Alabama", city: "DOTHAN" });
+  addRecentSearch({ state: "Alaska", city: "ANCHORAGE" });
+  expect(addRecentSearch({ state: "Alabama", city: "DOTHAN" })).toEqual([
+    { state: "Alabama", city: "DOTHAN" },
+    { state: "Alaska", city: "ANCHORAGE" },
+  ]);
+});
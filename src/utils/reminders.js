@@ -0,0 +1,105 @@
+import { subMinutes } from "date-fns";
+import { getAppointmentStart } from "./slots";
+import { getAddress, hospitalPath } from "./hospitals";
+
+const PREFERENCES_KEY = "reminderPreferences";
+const SENT_KEY = "sentReminders";
+const WORKER_URL = `${process.env.PUBLIC_URL}/reminder-sw.js`;
+
+export const REMINDER_OPTIONS = [
+  { value: 1440, label: "24 hours before" },
+  { value: 120, label: "2 hours before" },
+  { value: 60, label: "1 hour before" },
+  { value: 15, label: "15 minutes before" },
+];
+
+export const DEFAULT_PREFERENCES = { enabled: false, offsets: [1440, 60] };
+
+export const isNotificationSupported = () =>
+  "Notification" in window && "serviceWorker" in navigator;
+
+export function getReminderPreferences() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PREFERENCES_KEY));
+    return stored && Array.isArray(stored.offsets)
+      ? { ...DEFAULT_PREFERENCES, ...stored }
+      : DEFAULT_PREFERENCES;
+  } catch (err) {
+    return DEFAULT_PREFERENCES;
+  }
+}
+
+export function saveReminderPreferences(preferences) {
+  localStorage.setItem(PREFERENCES_KEY, JSON.stringify(preferences));
+  // Lets the scheduler in this tab pick up the change right away
+  window.dispatchEvent(new Event("reminderpreferences"));
+}
+
+const getSentReminders = () => {
+  try {
+    const sent = JSON.parse(localStorage.getItem(SENT_KEY));
+    return Array.isArray(sent) ? sent : [];
+  } catch (err) {
+    return [];
+  }
+};
+
+// IDs carry the appointment time, so ones for past appointments are dropped
+export const markRemindersSent = (ids, now = new Date()) =>
+  localStorage.setItem(
+    SENT_KEY,
+    JSON.stringify([
+      ...getSentReminders().filter((id) => new Date(id.split("|")[1]) > now),
+      ...ids,
+    ])
+  );
+
+/**
+ * One reminder per upcoming booking and chosen offset that hasn't been shown
+ * yet, soonest first. The ID changes with the appointment time, so a
+ * rescheduled booking is reminded about again.
+ */
+export function getPendingReminders(bookings, offsets, now = new Date()) {
+  const sent = getSentReminders();
+  return bookings
+    .flatMap((booking) => {
+      const start = getAppointmentStart(booking);
+      return offsets.map((offset) => ({
+        id: `${booking.bookingId}|${start.toISOString()}|${offset}`,
+        at: subMinutes(start, offset),
+        start,
+        offset,
+        booking,
+      }));
+    })
+    .filter(({ id, start }) => start > now && !sent.includes(id))
+    .sort((a, b) => a.at - b.at);
+}
+
+export const registerReminderWorker = () =>
+  navigator.serviceWorker.register(WORKER_URL);
+
+const directionsUrl = (booking) =>
+  `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(
+    `${booking["Hospital Name"]}, ${getAddress(booking)}`
+  )}`;
+
+export async function showReminder(reminder) {
+  const { booking, start } = reminder;
+  const registration = await navigator.serviceWorker.ready;
+  const minutes = Math.max(1, Math.round((start - new Date()) / 60000));
+  const inTime =
+    minutes >= 120 ? `${Math.round(minutes / 60)} hours` : `${minutes} minutes`;
+  await registration.showNotification(`Appointment in ${inTime}`, {
+    body: `${booking.doctor ? `${booking.doctor.name}, ` : ""}${
+      booking["Hospital Name"]
+    } at ${booking.bookingTime}. Booking ID ${booking.bookingId}.`,
+    tag: reminder.id,
+    icon: `${process.env.PUBLIC_URL}/logo192.png`,
+    data: {
+      url: hospitalPath(booking),
+      directionsUrl: directionsUrl(booking),
+    },
+    actions: [{ action: "directions", title: "Directions" }],
+  });
+}
@@ -0,0 +1,29 @@
+import { getPendingReminders, markRemindersSent } from "./reminders";
+
+const booking = {
+  "Hospital Name": "SOUTHEAST ALABAMA MEDICAL CENTER",
+  bookingId: "MED-AB12CD34",
+  bookingDate: new Date(2024, 4, 20).toISOString(),
+  bookingTime: "02:30 PM",
+};
+
+beforeEach(() => localStorage.clear());
+
+test("schedules each chosen offset before the appointment", () => {
+  const now = new Date(2024, 4, 19, 9, 0);
+  const reminders = getPendingReminders([booking], [60, 1440], now);
+  expect(reminders.map(({ at }) => at)).toEqual([
+    new Date(2024, 4, 19, 14, 30),
+    new Date(2024, 4, 20, 13, 30),
+  ]);
+});
+
+test("skips reminders already shown and past appointments", () => {
+  const now = new Date(2024, 4, 20, 14, 0);
+  const [reminder] = getPendingReminders([booking], [60], now);
+  markRemindersSent([reminder.id], now);
+  expect(getPendingReminders([booking], [60], now)).toEqual([]);
+  expect(getPendingReminders([booking], [60], new Date(2024, 4, 21))).toEqual(
+    []
+  );
+});
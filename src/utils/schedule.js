@@ -0,0 +1,103 @@
+import { format } from "date-fns";
+
+/**
+ * When a hospital takes appointments. `hours` is keyed by weekday (0 is
+ * Sunday) with 24-hour "HH:mm" times, and null for a weekly off; `breaks`
+ * apply to every working day; `closedDates` are one-off closures such as
+ * doctor leave, as "yyyy-MM-dd". Each slot lasts `slotMinutes` and takes up
+ * to `capacity` patients. Bookings open `windowDays` ahead, starting today,
+ * and close `leadMinutes` before the slot starts.
+ */
+export const DEFAULT_SCHEDULE = {
+  windowDays: 7,
+  leadMinutes: 60,
+  slotMinutes: 30,
+  capacity: 1,
+  hours: {
+    0: null,
+    1: { open: "09:30", close: "20:00" },
+    2: { open: "09:30", close: "20:00" },
+    3: { open: "09:30", close: "20:00" },
+    4: { open: "09:30", close: "20:00" },
+    5: { open: "09:30", close: "20:00" },
+    6: { open: "09:30", close: "13:00" },
+  },
+  breaks: [
+    { start: "13:00", end: "13:30" },
+    { start: "15:00", end: "18:00" },
+  ],
+  closedDates: [],
+};
+
+// Closed everywhere, every year, keyed by "MM-dd"
+const PUBLIC_HOLIDAYS = {
+  "01-01": "New Year's Day",
+  "07-04": "Independence Day",
+  "11-11": "Veterans Day",
+  "12-25": "Christmas Day",
+};
+
+// Hospitals whose hours or booking rules differ, by hospital ID
+const HOSPITAL_SCHEDULES = {
+  10001: {
+    windowDays: 14,
+    hours: {
+      ...DEFAULT_SCHEDULE.hours,
+      6: { open: "09:30", close: "20:00" },
+    },
+  },
+  10033: { slotMinutes: 20, capacity: 2 },
+  10069: {
+    windowDays: 5,
+    leadMinutes: 180,
+    closedDates: [{ date: "2026-11-02", reason: "Doctors on leave" }],
+  },
+};
+
+export const getSchedule = (hospitalId) => ({
+  ...DEFAULT_SCHEDULE,
+  ...HOSPITAL_SCHEDULES[hospitalId],
+});
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+// Why the hospital takes no appointments on `date`, or null when it's open
+export function getClosedReason(hospitalId, date) {
+  const { hours, closedDates } = getSchedule(hospitalId);
+  const day = new Date(date);
+  const closure = closedDates.find(
+    (closed) => closed.date === format(day, "yyyy-MM-dd")
+  );
+  if (closure) return closure.reason;
+  const holiday = PUBLIC_HOLIDAYS[format(day, "MM-dd")];
+  if (holiday) return `Closed for ${holiday}`;
+  if (!hours[day.getDay()]) return `Closed on ${format(day, "EEEE")}s`;
+  return null;
+}
+
+/**
+ * Start times, in minutes after midnight, of every slot that fits inside the
+ * day's hours without running into a break.
+ */
+export function getSlotTimes(hospitalId, date) {
+  if (getClosedReason(hospitalId, date)) return [];
+  const { hours, breaks, slotMinutes: length } = getSchedule(hospitalId);
+  const { open, close } = hours[new Date(date).getDay()];
+  const times = [];
+  for (let start = toMinutes(open); start + length <= toMinutes(close);) {
+    const end = start + length;
+    const clash = breaks.find(
+      (pause) => start < toMinutes(pause.end) && end > toMinutes(pause.start)
+    );
+    if (clash) {
+      start = toMinutes(clash.end);
+    } else {
+      times.push(start);
+      start = end;
+    }
+  }
+  return times;
+}
@@ -0,0 +1,55 @@
+import { getClosedReason, getSlotTimes } from "./schedule";
+
+const toTimes = (minutes) =>
+  minutes.map(
+    (m) =>
+      `${String(Math.floor(m / 60)).padStart(2, "0")}:${String(m % 60).padStart(2, "0")}`
+  );
+
+test("fits slots inside working hours and around breaks", () => {
+  const monday = new Date(2026, 9, 19);
+  expect(toTimes(getSlotTimes("99999", monday))).toEqual([
+    "09:30",
+    "10:00",
+    "10:30",
+    "11:00",
+    "11:30",
+    "12:00",
+    "12:30",
+    "13:30",
+    "14:00",
+    "14:30",
+    "18:00",
+    "18:30",
+    "19:00",
+    "19:30",
+  ]);
+  expect(toTimes(getSlotTimes("10033", monday)).slice(0, 12)).toEqual([
+    "09:30",
+    "09:50",
+    "10:10",
+    "10:30",
+    "10:50",
+    "11:10",
+    "11:30",
+    "11:50",
+    "12:10",
+    "12:30",
+    "13:30",
+    "13:50",
+  ]);
+});
+
+test("explains why a day is closed", () => {
+  expect(getClosedReason("99999", new Date(2026, 9, 18))).toBe(
+    "Closed on Sundays"
+  );
+  expect(getClosedReason("99999", new Date(2026, 11, 25))).toBe(
+    "Closed for Christmas Day"
+  );
+  expect(getClosedReason("10069", new Date(2026, 10, 2))).toBe(
+    "Doctors on leave"
+  );
+  expect(getClosedReason("10069", new Date(2026, 10, 3))).toBeNull();
+  expect(getSlotTimes("99999", new Date(2026, 9, 18))).toEqual([]);
+});
@@ -0,0 +1,95 @@
+import { addDays, addMinutes, format, parse, startOfDay } from "date-fns";
+import {
+  DEFAULT_SCHEDULE,
+  getClosedReason,
+  getSchedule,
+  getSlotTimes,
+} from "./schedule";
+
+// Where each part of the day starts, in minutes after midnight
+export const PERIODS = [
+  { name: "morning", label: "Morning", from: 0 },
+  { name: "afternoon", label: "Afternoon", from: 12 * 60 },
+  { name: "evening", label: "Evening", from: 17 * 60 },
+];
+
+// Branches can share a name, so the fallback also takes in where they are
+export const getHospitalId = (details) =>
+  String(
+    details["Provider ID"] ||
+      [details["Hospital Name"], details["City"], details["ZIP Code"]].join("|")
+  );
+
+export const toDateKey = (date) => format(new Date(date), "yyyy-MM-dd");
+
+// A doctor sees one patient per slot, whatever the hospital's capacity
+const DOCTOR_CAPACITY = 1;
+
+// Length of bookings made before slots had their own end time
+export const SLOT_MINUTES = DEFAULT_SCHEDULE.slotMinutes;
+
+export const formatSlotTime = (date) => format(date, "hh:mm a");
+
+// Older bookings only have the day and an "hh:mm AM/PM" string
+export const getAppointmentStart = ({
+  bookingStart,
+  bookingDate,
+  bookingTime,
+}) =>
+  bookingStart
+    ? new Date(bookingStart)
+    : parse(bookingTime, "hh:mm a", new Date(bookingDate));
+
+export const getAppointmentEnd = (booking) =>
+  booking.bookingEnd
+    ? new Date(booking.bookingEnd)
+    : addMinutes(getAppointmentStart(booking), SLOT_MINUTES);
+
+// The booking fields describing `slot`
+export const toBookingSlot = ({ start, end, capacity }) => ({
+  bookingDate: startOfDay(start),
+  bookingTime: formatSlotTime(start),
+  bookingStart: start.toISOString(),
+  bookingEnd: end.toISOString(),
+  slotCapacity: capacity,
+});
+
+export function getBookingDays(details, now = new Date()) {
+  const { windowDays } = getSchedule(getHospitalId(details));
+  return Array.from({ length: windowDays }, (_, i) =>
+    addDays(startOfDay(now), i)
+  );
+}
+
+export const getDayClosure = (details, date) =>
+  getClosedReason(getHospitalId(details), date);
+
+const getPeriod = (minutes) =>
+  PERIODS.filter((period) => minutes >= period.from).pop().name;
+
+/**
+ * The hospital's slots on `date` as `{ start, end, capacity }`, grouped by
+ * part of the day. Slots starting before the hospital's lead time has passed
+ * are left out. With `details.doctor` set, they are that doctor's slots.
+ */
+export function getDaySlots(details, date, now = new Date()) {
+  const hospitalId = getHospitalId(details);
+  const { slotMinutes, capacity, leadMinutes } = getSchedule(hospitalId);
+  const earliest = addMinutes(now, leadMinutes);
+  const slots = Object.fromEntries(PERIODS.map(({ name }) => [name, []]));
+  getSlotTimes(hospitalId, date).forEach((minutes) => {
+    const start = addMinutes(startOfDay(new Date(date)), minutes);
+    if (start < earliest) return;
+    slots[getPeriod(minutes)].push({
+      start,
+      end: addMinutes(start, slotMinutes),
+      capacity: details.doctor ? DOCTOR_CAPACITY : capacity,
+    });
+  });
+  return slots;
+}
+
+export const countFreeSlots = (slots) =>
+  Object.values(slots)
+    .flat()
+    .filter((slot) => slot.remaining > 0).length;
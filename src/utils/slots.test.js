@@ -0,0 +1,46 @@
+import { countFreeSlots, getBookingDays, getDaySlots } from "./slots";
+
+const hospital = { "Provider ID": "10001" };
+const times = (slots) => slots.map(({ start }) => start.getHours());
+
+test("leaves out slots that start within the lead time", () => {
+  const day = new Date(2024, 4, 20);
+  const slots = getDaySlots(hospital, day, new Date(2024, 4, 20, 17, 0));
+  expect(slots.morning).toEqual([]);
+  expect(slots.afternoon).toEqual([]);
+  expect(times(slots.evening)).toEqual([18, 18, 19, 19]);
+  expect(getDaySlots(hospital, day, new Date(2024, 4, 20, 20, 0))).toEqual({
+    morning: [],
+    afternoon: [],
+    evening: [],
+  });
+});
+
+test("opens each hospital's booking window from today", () => {
+  const now = new Date(2024, 4, 20, 15, 0);
+  const days = getBookingDays({ "Provider ID": "10069" }, now);
+  expect(days).toHaveLength(5);
+  expect(days[0]).toEqual(new Date(2024, 4, 20));
+  expect(getBookingDays({ "Provider ID": "99999" }, now)).toHaveLength(7);
+});
+
+test("buckets slots by the time of day they start", () => {
+  const slots = getDaySlots(
+    { "Provider ID": "10033" },
+    new Date(2024, 4, 20),
+    new Date(2024, 4, 1)
+  );
+  expect(times(slots.morning)).toEqual([9, 9, 10, 10, 10, 11, 11, 11]);
+  expect(times(slots.afternoon)).toEqual([12, 12, 13, 13, 14, 14]);
+  expect(times(slots.evening)).toEqual([18, 18, 18, 19, 19, 19]);
+  expect(slots.morning[0]).toMatchObject({
+    start: new Date(2024, 4, 20, 9, 30),
+    end: new Date(2024, 4, 20, 9, 50),
+    capacity: 2,
+  });
+});
+
+test("counts only slots with places left", () => {
+  const slots = { morning: [{ remaining: 0 }, { remaining: 2 }], evening: [] };
+  expect(countFreeSlots(slots)).toBe(1);
+});
@@ -0,0 +1,65 @@
+import dentistry from "../assets/Drugstore.png";
+import primaryCare from "../assets/primary-care.png";
+import cardiology from "../assets/cardiology.png";
+import mri from "../assets/mri.png";
+import bloodTest from "../assets/blood-test.png";
+import psychologist from "../assets/psychologist.png";
+import xRay from "../assets/X-Ray.png";
+import neurology from "../assets/Doctor.png";
+import orthopedics from "../assets/Hospital.png";
+import pharmacy from "../assets/Capsule.png";
+
+const ACUTE_CARE = [
+  "Acute Care Hospitals",
+  "Acute Care - Department of Defense",
+];
+
+// `hospitalTypes` lists the kinds of hospital that offer it; without it, any
+// hospital does. The first few are featured on the home page.
+export const SPECIALIZATIONS = [
+  { slug: "dentistry", title: "Dentistry", icon: dentistry },
+  { slug: "primary-care", title: "Primary Care", icon: primaryCare },
+  {
+    slug: "cardiology",
+    title: "Cardiology",
+    icon: cardiology,
+    hospitalTypes: ACUTE_CARE,
+  },
+  {
+    slug: "mri",
+    title: "MRI Resonance",
+    icon: mri,
+    hospitalTypes: ACUTE_CARE,
+  },
+  { slug: "blood-test", title: "Blood Test", icon: bloodTest },
+  {
+    slug: "psychologist",
+    title: "Psychologist",
+    icon: psychologist,
+    hospitalTypes: [...ACUTE_CARE, "Psychiatric"],
+  },
+  { slug: "laboratory", title: "Laboratory", icon: dentistry },
+  { slug: "x-ray", title: "X-Ray", icon: xRay, hospitalTypes: ACUTE_CARE },
+  {
+    slug: "neurology",
+    title: "Neurology",
+    icon: neurology,
+    hospitalTypes: ACUTE_CARE,
+  },
+  {
+    slug: "orthopedics",
+    title: "Orthopedics",
+    icon: orthopedics,
+    hospitalTypes: ACUTE_CARE,
+  },
+  { slug: "pharmacy", title: "Pharmacy", icon: pharmacy },
+];
+
+export const FEATURED_COUNT = 8;
+
+export const getSpecialization = (slug) =>
+  SPECIALIZATIONS.find((specialization) => specialization.slug === slug);
+
+export const offersSpecialization = (hospital, specialization) =>
+  !specialization.hospitalTypes ||
+  specialization.hospitalTypes.includes(hospital["Hospital Type"]);
@@ -0,0 +1,28 @@
+import { applyFilters, parseFilters, searchPath } from "./hospitals";
+
+const hospitals = [
+  { "Hospital Name": "A", "Hospital Type": "Acute Care Hospitals" },
+  { "Hospital Name": "B", "Hospital Type": "Critical Access Hospitals" },
+  { "Hospital Name": "C", "Hospital Type": "Psychiatric" },
+];
+
+const names = (query) =>
+  applyFilters(hospitals, parseFilters(new URLSearchParams(query))).map(
+    (hospital) => hospital["Hospital Name"]
+  );
+
+test("keeps the hospitals offering the chosen specialization", () => {
+  expect(names("specialization=cardiology")).toEqual(["A"]);
+  expect(names("specialization=psychologist")).toEqual(["A", "C"]);
+  expect(names("specialization=blood-test")).toEqual(["A", "B", "C"]);
+  expect(names("specialization=unknown")).toEqual(["A", "B", "C"]);
+});
+
+test("builds search links with whatever location is known", () => {
+  expect(
+    searchPath({ state: "Alabama", city: "DOTHAN", specialization: "x-ray" })
+  ).toBe("/search?state=Alabama&city=DOTHAN&specialization=x-ray");
+  expect(searchPath({ specialization: "x-ray" })).toBe(
+    "/search?specialization=x-ray"
+  );
+});